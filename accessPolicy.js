@@ -0,0 +1,390 @@
+// File: accessPolicy.js
+/**
+ * Per-role table and column access policies for MCP server
+ * The policy file maps users to roles, and roles to the tables and columns
+ * they may read. Deny rules always win over allow rules.
+ *
+ * Example policy:
+ * {
+ *   "defaultRole": "analyst",
+ *   "users": { "alice": "admin", "bob": { "role": "analyst", "tenantId": 7 } },
+ *   "roles": {
+ *     "admin": { "tables": { "*": "*" }, "schemaRefresh": true },
+ *     "analyst": {
+ *       "tables": { "users": ["id", "name", "created_at"], "orders": "*" },
+ *       "deny": { "tables": ["audit_log"], "columns": ["*.password"] },
+ *       "tools": ["sql_generator", "sql_executor", "schema_inspector"]
+ *     }
+ *   },
+ *   "rowFilters": { "orders": { "column": "tenant_id", "attribute": "tenantId" } }
+ * }
+ *
+ * Without a policy file every table and column is allowed.
+ */
+const fs = require('fs');
+const path = require('path');
+const {
+  forEachSelect,
+  collectCteNames,
+  identifierName,
+  getTableReferences,
+  resolveColumnReferences,
+  findSchemaTable,
+  describeNode
+} = require('./sqlAst');
+
+const POLICY_FILE = process.env.ACCESS_POLICY_FILE || path.join(__dirname, 'config', 'accessPolicy.json');
+
+let policy; // undefined until loaded, null when there is no policy file
+
+/**
+ * Loads the access policy file
+ * @param {boolean} reload Re-read the file even if it was already loaded
+ * @returns {Object|null} The policy, or null if no policy file exists
+ */
+function loadAccessPolicy(reload = false) {
+  if (policy !== undefined && !reload) {
+    return policy;
+  }
+
+  if (!fs.existsSync(POLICY_FILE)) {
+    policy = null;
+    return policy;
+  }
+
+  try {
+    const loaded = JSON.parse(fs.readFileSync(POLICY_FILE, 'utf8'));
+    if (!loaded.roles || typeof loaded.roles !== 'object') {
+      throw new Error('Policy must define "roles"');
+    }
+    policy = loaded;
+    return policy;
+  } catch (error) {
+    // A broken policy must not silently open up access
+    throw new Error(`Failed to load access policy ${POLICY_FILE}: ${error.message}`);
+  }
+}
+
+/**
+ * Determines the role of a user
+ * @param {string} userId The user ID
+ * @returns {string|null} The role name, or null if the user has no role
+ */
+function resolveRole(userId) {
+  return resolveIdentity(userId).role;
+}
+
+/**
+ * Builds the identity of a caller: user ID, role and any attributes the
+ * policy assigns to the user (such as tenantId for row-level security)
+ * A user entry is either a role name or an object like { "role": "analyst", "tenantId": 7 }
+ * @param {string} userId The user ID
+ * @returns {Object} The identity
+ */
+function resolveIdentity(userId) {
+  const currentPolicy = loadAccessPolicy();
+  if (!currentPolicy) return { userId, role: null };
+
+  const entry = currentPolicy.users && currentPolicy.users[userId];
+  const attributes = entry && typeof entry === 'object' ? entry : { role: entry };
+
+  return {
+    ...attributes,
+    userId,
+    role: attributes.role || currentPolicy.defaultRole || null
+  };
+}
+
+// Attach the caller's identity and access role from the access policy to their context
+function attachIdentity(userContext, userId) {
+  userContext.identity = resolveIdentity(userId);
+  userContext.accessRole = userContext.identity.role;
+  return userContext;
+}
+
+// Normalize "table" or "db.table" for comparisons
+function tableKey(db, table) {
+  return (db ? `${db}.${table}` : table).toLowerCase();
+}
+
+// Find a role's entry for a table, ignoring case; "*" matches any table
+function findTableRule(rules, key) {
+  if (!rules) return undefined;
+
+  const match = Object.keys(rules).find(name => name.toLowerCase() === key);
+  if (match) return rules[match];
+  return rules['*'];
+}
+
+function isTableDenied(role, key) {
+  const deniedTables = (role.deny && role.deny.tables) || [];
+  return deniedTables.some(name => name === '*' || name.toLowerCase() === key);
+}
+
+function isColumnDenied(role, key, column) {
+  const deniedColumns = (role.deny && role.deny.columns) || [];
+  const lowerColumn = column.toLowerCase();
+
+  return deniedColumns.some(rule => {
+    const separator = rule.lastIndexOf('.');
+    const ruleTable = rule.substring(0, separator).toLowerCase();
+    const ruleColumn = rule.substring(separator + 1).toLowerCase();
+    return (ruleTable === '*' || ruleTable === key) && (ruleColumn === '*' || ruleColumn === lowerColumn);
+  });
+}
+
+// Check a table against a role; returns the reason it is denied, or null
+function checkTable(role, roleName, db, table) {
+  const key = tableKey(db, table);
+
+  if (isTableDenied(role, key) || findTableRule(role.tables, key) === undefined) {
+    return `Access to table ${key} is denied for role ${roleName}`;
+  }
+
+  return null;
+}
+
+// Check a single column against a role; returns the reason it is denied, or null
+function checkColumn(role, roleName, db, table, column) {
+  const tableReason = checkTable(role, roleName, db, table);
+  if (tableReason) return tableReason;
+
+  const key = tableKey(db, table);
+  const allowed = findTableRule(role.tables, key);
+  const allowsAll = allowed === '*' || (Array.isArray(allowed) && allowed.includes('*'));
+
+  if (isColumnDenied(role, key, column) ||
+      (!allowsAll && !(Array.isArray(allowed) && allowed.some(c => c.toLowerCase() === column.toLowerCase())))) {
+    return `Access to column ${key}.${column} is denied for role ${roleName}`;
+  }
+
+  return null;
+}
+
+// Check "table.*"; every column the star expands to must be readable
+function checkStar(role, roleName, db, table, schema) {
+  const tableReason = checkTable(role, roleName, db, table);
+  if (tableReason) return tableReason;
+
+  const schemaTable = db ? null : findSchemaTable(schema, table);
+
+  if (schemaTable) {
+    for (const column of schemaTable.columns) {
+      if (checkColumn(role, roleName, db, table, column.name)) {
+        return `SELECT * on ${tableKey(db, table)} would read column ${column.name}, which is denied for role ${roleName}`;
+      }
+    }
+    return null;
+  }
+
+  // Without the schema, only a table with no column restrictions is safe
+  const key = tableKey(db, table);
+  const allowed = findTableRule(role.tables, key);
+  const allowsAll = allowed === '*' || (Array.isArray(allowed) && allowed.includes('*'));
+  const hasDenyRule = ((role.deny && role.deny.columns) || []).some(rule => {
+    const ruleTable = rule.substring(0, rule.lastIndexOf('.')).toLowerCase();
+    return ruleTable === '*' || ruleTable === key;
+  });
+
+  if (!allowsAll || hasDenyRule) {
+    return `SELECT * on ${key} is denied for role ${roleName}, which may only read some of its columns`;
+  }
+
+  return null;
+}
+
+// Columns named in JOIN ... USING (col): each is read from the joined table and from
+// every base table before it in the same FROM that has such a column (all of them
+// when the schema is unknown). Derived tables and CTEs are checked through their own SELECTs.
+function collectUsingColumns(ast, schema) {
+  const cteNames = collectCteNames(ast);
+  const references = [];
+
+  forEachSelect(ast, (select, path) => {
+    const from = select.from || [];
+    from.forEach((join, index) => {
+      if (!Array.isArray(join.using)) return;
+
+      const tables = from.slice(0, index + 1)
+        .filter(item => item.table && (item.db || !cteNames.has(item.table.toLowerCase())));
+
+      join.using.forEach((entry, entryIndex) => {
+        const column = identifierName(entry);
+        if (!column) return;
+
+        for (const item of tables) {
+          const schemaTable = item.db ? null : findSchemaTable(schema, item.table);
+          if (schemaTable && !schemaTable.columns.some(c => c.name.toLowerCase() === column.toLowerCase())) continue;
+
+          references.push({
+            db: item.db || null,
+            table: item.table,
+            column,
+            node: entry,
+            path: `${path ? `${path}.` : ''}from[${index}].using[${entryIndex}]`
+          });
+        }
+      });
+    });
+  });
+
+  return references;
+}
+
+/**
+ * Checks a parsed SELECT statement against a role's policy
+ * @param {string} sql The original SQL text
+ * @param {Object} ast The statement syntax tree
+ * @param {string|null} roleName The caller's role
+ * @param {Object} schema Optional schema, used to resolve unqualified columns and SELECT *
+ * @returns {Object|null} A failed validation result, or null if access is allowed
+ */
+function checkSqlAccess(sql, ast, roleName, schema = null) {
+  const currentPolicy = loadAccessPolicy();
+  if (!currentPolicy) return null;
+
+  const role = roleName ? currentPolicy.roles[roleName] : null;
+  if (!role) {
+    return {
+      isValid: false,
+      reason: roleName ? `Unknown access role: ${roleName}` : 'No access role is assigned to this user',
+      severity: 'high',
+      policyViolation: true
+    };
+  }
+
+  const violation = (reason, node, nodePath) => ({
+    isValid: false,
+    reason,
+    severity: 'high',
+    policyViolation: true,
+    node: describeNode(sql, node, nodePath)
+  });
+
+  for (const reference of getTableReferences(ast)) {
+    const reason = checkTable(role, roleName, reference.db, reference.table);
+    if (reason) return violation(reason, reference.node, reference.path);
+  }
+
+  for (const reference of resolveColumnReferences(ast, schema)) {
+    const reason = reference.column === '*'
+      ? checkStar(role, roleName, reference.db, reference.table, schema)
+      : checkColumn(role, roleName, reference.db, reference.table, reference.column);
+    if (reason) return violation(reason, reference.node, reference.path);
+  }
+
+  for (const reference of collectUsingColumns(ast, schema)) {
+    const reason = checkColumn(role, roleName, reference.db, reference.table, reference.column);
+    if (reason) return violation(reason, reference.node, reference.path);
+  }
+
+  return null;
+}
+
+/**
+ * Checks whether a role may read a table
+ * @param {string|null} roleName The caller's role
+ * @param {string} table The table name
+ * @returns {boolean} True if allowed, or if there is no policy
+ */
+function canReadTable(roleName, table) {
+  const currentPolicy = loadAccessPolicy();
+  if (!currentPolicy) return true;
+
+  const role = roleName ? currentPolicy.roles[roleName] : null;
+  return Boolean(role) && !checkTable(role, roleName, null, table);
+}
+
+/**
+ * Checks whether a role may read a column
+ * @param {string|null} roleName The caller's role
+ * @param {string} table The table name
+ * @param {string} column The column name
+ * @returns {boolean} True if allowed, or if there is no policy
+ */
+function canReadColumn(roleName, table, column) {
+  const currentPolicy = loadAccessPolicy();
+  if (!currentPolicy) return true;
+
+  const role = roleName ? currentPolicy.roles[roleName] : null;
+  return Boolean(role) && !checkColumn(role, roleName, null, table, column);
+}
+
+/**
+ * Checks whether a role may call a tool
+ * A role without a "tools" list may call every tool; "*" in the list allows all.
+ * @param {string|null} roleName The caller's role
+ * @param {string} toolName The tool name
+ * @returns {boolean} True if allowed, or if there is no policy
+ */
+function canUseTool(roleName, toolName) {
+  const currentPolicy = loadAccessPolicy();
+  if (!currentPolicy) return true;
+
+  const role = roleName ? currentPolicy.roles[roleName] : null;
+  if (!role) return false;
+
+  return !Array.isArray(role.tools) || role.tools.includes('*') || role.tools.includes(toolName);
+}
+
+/**
+ * Checks whether a role may reload the cached database schema
+ * Only roles with "schemaRefresh": true may, since a reload queries INFORMATION_SCHEMA
+ * and notifies every MCP session.
+ * @param {string|null} roleName The caller's role
+ * @returns {boolean} True if allowed, or if there is no policy
+ */
+function canRefreshSchema(roleName) {
+  const currentPolicy = loadAccessPolicy();
+  if (!currentPolicy) return true;
+
+  const role = roleName ? currentPolicy.roles[roleName] : null;
+  return Boolean(role) && role.schemaRefresh === true;
+}
+
+/**
+ * Removes the tables and columns a role may not read from a schema, so the
+ * model is only told about what the caller can see
+ * @param {Object} schema Schema from getDatabaseSchema()
+ * @param {string|null} roleName The caller's role
+ * @returns {Object} The filtered schema
+ */
+function filterSchemaForRole(schema, roleName) {
+  const currentPolicy = loadAccessPolicy();
+  if (!currentPolicy) return schema;
+
+  const role = roleName ? currentPolicy.roles[roleName] : null;
+  if (!role) return {};
+
+  const filtered = {};
+  for (const [name, table] of Object.entries(schema || {})) {
+    if (checkTable(role, roleName, null, name)) continue;
+
+    const columns = table.columns.filter(column => !checkColumn(role, roleName, null, name, column.name));
+    const visible = new Set(columns.map(column => column.name));
+
+    filtered[name] = {
+      ...table,
+      columns,
+      primaryKey: table.primaryKey.filter(column => visible.has(column)),
+      foreignKeys: table.foreignKeys.filter(fk =>
+        visible.has(fk.column) && !checkColumn(role, roleName, null, fk.referencedTable, fk.referencedColumn)
+      )
+    };
+  }
+
+  return filtered;
+}
+
+module.exports = {
+  loadAccessPolicy,
+  resolveRole,
+  resolveIdentity,
+  attachIdentity,
+  checkSqlAccess,
+  canReadTable,
+  canReadColumn,
+  canUseTool,
+  canRefreshSchema,
+  filterSchemaForRole
+};
@@ -0,0 +1,162 @@
+// File: agentLoop.js
+/**
+ * Multi-step tool-use loop for MCP server
+ * In agent mode the model gets the registry's read-only tools and works through a question
+ * step by step: it calls a tool, reads the result and decides what to do next,
+ * until it writes a final answer or runs out of steps. The model replies with
+ * one JSON object per turn, which works the same way with every LLM provider.
+ */
+const { getLLMProvider } = require('./llmProvider');
+const { parseModelResponse } = require('./nlToSqlConverter');
+const { throwIfCancelled } = require('./requestTracker');
+const { canUseTool } = require('./accessPolicy');
+
+// Most tool calls the model may make for one question
+const AGENT_MAX_STEPS = parseInt(process.env.AGENT_MAX_STEPS, 10) || 6;
+// Tool results are cut to this many characters before the model sees them
+const AGENT_TOOL_RESULT_CHARS = parseInt(process.env.AGENT_TOOL_RESULT_CHARS, 10) || 4000;
+// Tools the model may call; anything that writes files or runs SQL outside the
+// read-only executor (such as workbench_export) stays out of the model's hands
+const AGENT_TOOLS = ['sql_generator', 'sql_executor', 'schema_inspector'];
+
+function buildSystemPrompt(tools, maxSteps) {
+  const toolList = tools.map(tool =>
+    `- ${tool.name}: ${tool.description}\n  arguments (JSON Schema): ${JSON.stringify(tool.parameters)}`
+  ).join('\n');
+
+  return `
+You are a data analyst agent working with a MySQL database. Answer the user's question by calling tools, one at a time, and reading their results.
+
+Available tools:
+${toolList}
+
+Reply with exactly one JSON object and nothing else:
+- To call a tool: {"thought": "why this step", "tool": "tool_name", "arguments": { ... }}
+- To finish: {"thought": "why you are done", "final_answer": "the answer for the user"}
+
+RULES:
+1. Look up the tables and columns you need before writing SQL for them.
+2. Only read-only SELECT queries can be executed. Keep exploratory queries small with LIMIT.
+3. You can make at most ${maxSteps} tool calls. Give your best final answer before you run out.
+4. Base the final answer on the tool results, and mention the SQL that produced it.
+  `;
+}
+
+// Serialize a tool result for the model, cut to the character budget
+function formatToolResult(result) {
+  const text = JSON.stringify(result === undefined ? null : result);
+  return text.length > AGENT_TOOL_RESULT_CHARS
+    ? `${text.substring(0, AGENT_TOOL_RESULT_CHARS)}... (truncated)`
+    : text;
+}
+
+/**
+ * Runs the tool-use loop for one question
+ * @param {string} question The user's question, with any conversation context
+ * @param {Object} context The user context tools run with
+ * @param {ToolRegistry} toolRegistry The tools the model may call
+ * @param {Object} options maxSteps, signal to cancel the loop, and onProgress(stage, data)
+ *   for agent_step, agent_tool_result and tool_progress
+ * @returns {Object} { answer, trace, stopReason, lastQuery } where stopReason is
+ *   'final_answer' or 'step_budget', and lastQuery holds the SQL and results of the
+ *   last successful sql_executor call, if any
+ */
+async function runAgent(question, context, toolRegistry, options = {}) {
+  const maxSteps = options.maxSteps || AGENT_MAX_STEPS;
+  const onProgress = options.onProgress || (() => {});
+  const tools = toolRegistry.listTools().filter(tool =>
+    AGENT_TOOLS.includes(tool.name) && canUseTool(context.accessRole, tool.name)
+  );
+  const toolNames = tools.map(tool => tool.name);
+  const system = buildSystemPrompt(tools, maxSteps);
+
+  const messages = [{ role: 'user', content: question }];
+  const trace = [];
+  let lastQuery = null;
+  let toolCalls = 0;
+
+  // One model turn per tool call, plus one for the final answer
+  for (let turn = 0; turn <= maxSteps; turn++) {
+    throwIfCancelled(options.signal);
+    const replyText = await getLLMProvider().generate({ system, messages, temperature: 0.1 });
+    throwIfCancelled(options.signal);
+    messages.push({ role: 'assistant', content: replyText });
+
+    let reply;
+    try {
+      reply = parseModelResponse(replyText);
+    } catch (error) {
+      reply = null;
+    }
+
+    if (reply && typeof reply.final_answer === 'string') {
+      return { answer: reply.final_answer, trace, stopReason: 'final_answer', lastQuery };
+    }
+
+    if (!reply || typeof reply.tool !== 'string') {
+      trace.push({ step: turn + 1, thought: reply && reply.thought, success: false, error: 'Reply was neither a tool call nor a final answer' });
+      messages.push({ role: 'user', content: 'Your reply was not valid. Reply with one JSON object containing either "tool" and "arguments", or "final_answer".' });
+      continue;
+    }
+
+    if (toolCalls >= maxSteps) {
+      break;
+    }
+    toolCalls++;
+
+    // Confirming an expensive query is the user's decision, never the model's
+    const args = { ...(reply.arguments || {}) };
+    delete args.confirmCost;
+
+    const step = { step: turn + 1, thought: reply.thought, tool: reply.tool, arguments: args };
+    onProgress('agent_step', { ...step });
+
+    const startedAt = Date.now();
+    let resultText;
+    try {
+      if (!toolNames.includes(reply.tool)) {
+        throw new Error(`Unknown tool: ${reply.tool}. Use one of: ${toolNames.join(', ')}`);
+      }
+
+      const result = await toolRegistry.executeTool(reply.tool, args, context, {
+        signal: options.signal,
+        onProgress: progress => onProgress('tool_progress', { step: step.step, tool: step.tool, ...progress })
+      });
+      step.success = true;
+      resultText = formatToolResult(result);
+      step.result_preview = resultText.substring(0, 200);
+
+      if (reply.tool === 'sql_executor') {
+        lastQuery = { sql: args.sql, results: result };
+      }
+    } catch (error) {
+      throwIfCancelled(options.signal);
+      step.success = false;
+      step.error = error.message;
+      resultText = JSON.stringify({ error: error.message, details: error.details });
+    }
+    step.duration_ms = Date.now() - startedAt;
+
+    trace.push(step);
+    onProgress('agent_tool_result', { step: step.step, tool: step.tool, success: step.success, error: step.error });
+
+    const remaining = maxSteps - toolCalls;
+    messages.push({
+      role: 'user',
+      content: `Tool result (${reply.tool}):\n${resultText}\n\n${remaining > 0
+        ? `You have ${remaining} tool calls left.`
+        : 'You have no tool calls left. Give your final answer now.'}`
+    });
+  }
+
+  return {
+    answer: null,
+    trace,
+    stopReason: 'step_budget',
+    lastQuery
+  };
+}
+
+module.exports = {
+  runAgent
+};
@@ -0,0 +1,92 @@
+// File: callerIdentity.js
+/**
+ * Caller identity for the HTTP servers
+ * The access policy decides what a user may see, so the user ID must come from
+ * a source the caller can't forge. AUTH_MODE picks the source, and the REST API
+ * and the MCP HTTP transport both read the identity through identifyCaller:
+ *
+ *   token - An API key in "Authorization: Bearer <key>". The policy's "apiKeys"
+ *           maps the SHA-256 hex digest of each key to a user ID.
+ *   proxy - A header set by an authenticating reverse proxy (AUTH_PROXY_HEADER).
+ *           Only safe if the proxy removes that header from client requests.
+ *   none  - The X-User-Id header, or the user ID in the request, as the caller
+ *           claims it. For development, or when there is no access policy.
+ *
+ * AUTH_MODE defaults to token when an access policy file exists, none otherwise.
+ * The stdio server is started by its client and acts as MCP_USER_ID instead.
+ */
+const crypto = require('crypto');
+const { loadAccessPolicy } = require('./accessPolicy');
+
+const AUTH_MODES = ['token', 'proxy', 'none'];
+const AUTH_PROXY_HEADER = process.env.AUTH_PROXY_HEADER || 'X-Forwarded-User';
+
+function authenticationError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * The configured authentication mode
+ * @returns {string} token, proxy or none
+ */
+function authMode() {
+  const mode = process.env.AUTH_MODE || (loadAccessPolicy() ? 'token' : 'none');
+  if (!AUTH_MODES.includes(mode)) {
+    throw new Error(`Unknown AUTH_MODE: ${mode} (use token, proxy or none)`);
+  }
+  return mode;
+}
+
+// User ID of an API key, from the policy's apiKeys
+function userForApiKey(key) {
+  const policy = loadAccessPolicy();
+  const apiKeys = (policy && policy.apiKeys) || {};
+  const digest = crypto.createHash('sha256').update(key).digest('hex');
+  return Object.prototype.hasOwnProperty.call(apiKeys, digest) ? apiKeys[digest] : null;
+}
+
+/**
+ * Works out who sent a request
+ * Throws an error with code AUTHENTICATION_REQUIRED when the credentials are missing
+ * or unknown, and USER_MISMATCH when the request names another user than the one
+ * its credentials belong to.
+ * @param {Object} req The Express request
+ * @param {string} claimedUserId The user ID the request names (body or path), if any
+ * @returns {string|null} The user ID, or null if the request names no user (none mode only)
+ */
+function identifyCaller(req, claimedUserId) {
+  const mode = authMode();
+
+  if (mode === 'none') {
+    return req.get('X-User-Id') || claimedUserId || null;
+  }
+
+  let userId;
+  if (mode === 'token') {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+    if (!match) {
+      throw authenticationError('AUTHENTICATION_REQUIRED', 'Send an API key as "Authorization: Bearer <key>"');
+    }
+    userId = userForApiKey(match[1]);
+    if (!userId) {
+      throw authenticationError('AUTHENTICATION_REQUIRED', 'Unknown API key');
+    }
+  } else {
+    userId = req.get(AUTH_PROXY_HEADER);
+    if (!userId) {
+      throw authenticationError('AUTHENTICATION_REQUIRED', `Missing ${AUTH_PROXY_HEADER} header from the authentication proxy`);
+    }
+  }
+
+  if (claimedUserId && claimedUserId !== userId) {
+    throw authenticationError('USER_MISMATCH', 'The request names a different user than its credentials');
+  }
+  return userId;
+}
+
+module.exports = {
+  authMode,
+  identifyCaller
+};
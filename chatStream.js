@@ -0,0 +1,113 @@
+// File: chatStream.js
+/**
+ * Streaming chat responses for MCP server
+ * Sends the stages of processRequest as Server-Sent Events in the OpenAI
+ * `chat.completion.chunk` format. Stage chunks carry the stage in
+ * `delta.metadata`; result rows follow in batches; the last chunk carries the
+ * full answer in `delta.content` with the summary metadata, then `[DONE]`.
+ */
+
+// Result rows per chunk
+const STREAM_ROW_BATCH_SIZE = parseInt(process.env.STREAM_ROW_BATCH_SIZE, 10) || 100;
+
+/**
+ * Switches a response to an SSE chat completion stream
+ * @param {Object} res Express response
+ * @param {Object} options { model, requestId } the model name reported in each chunk, and the
+ *   ID a client can cancel the request with, announced in the opening chunk
+ * @returns {Object} { onProgress, finish, fail } to feed the stream
+ */
+function createChatStream(res, options = {}) {
+  const id = `chat_${Date.now()}`;
+  const created = Math.floor(Date.now() / 1000);
+  const model = options.model || 'mcp-sql-assistant';
+  let rowsStreamed = false;
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  function write(data) {
+    // The client may have gone away mid-request
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+  }
+
+  function sendChunk(delta, finishReason = null) {
+    write({
+      id,
+      object: 'chat.completion.chunk',
+      created,
+      model,
+      choices: [{
+        index: 0,
+        delta,
+        finish_reason: finishReason
+      }]
+    });
+  }
+
+  function end() {
+    write('[DONE]');
+    if (!res.writableEnded) res.end();
+  }
+
+  // The opening chunk announces the role, as OpenAI streams do
+  sendChunk({
+    role: 'assistant',
+    content: '',
+    ...(options.requestId ? { metadata: { stage: 'started', request_id: options.requestId } } : {})
+  });
+
+  return {
+    // Pass as options.onProgress to processRequest
+    onProgress(stage, data) {
+      if (stage !== 'results') {
+        sendChunk({ metadata: { stage, ...data } });
+        return;
+      }
+
+      const { rows, ...summary } = data.results;
+      for (let offset = 0; offset < rows.length; offset += STREAM_ROW_BATCH_SIZE) {
+        sendChunk({
+          metadata: {
+            stage: 'rows',
+            offset,
+            rows: rows.slice(offset, offset + STREAM_ROW_BATCH_SIZE),
+            // Column information comes with the first batch
+            ...(offset === 0 ? { fields: summary.fields } : {})
+          }
+        });
+      }
+      rowsStreamed = true;
+    },
+
+    // Send the final answer; rows already streamed are left out of its metadata
+    finish(response) {
+      const metadata = { ...(response.metadata || {}) };
+      if (rowsStreamed && metadata.results) {
+        const { rows, ...results } = metadata.results;
+        metadata.results = { ...results, rows_streamed: rows.length };
+      }
+
+      sendChunk({ content: response.content, metadata: { stage: 'summary', ...metadata } }, 'stop');
+      end();
+    },
+
+    fail(error) {
+      if (error.code === 'REQUEST_CANCELLED') {
+        sendChunk({ content: '', metadata: { stage: 'cancelled' } }, 'stop');
+      } else {
+        sendChunk({ content: `Error processing your request: ${error.message}`, metadata: { stage: 'error', error: error.message } }, 'stop');
+      }
+      end();
+    }
+  };
+}
+
+module.exports = {
+  createChatStream
+};
@@ -1,102 +1,537 @@
 // File: contextManager.js
-const Redis = require('ioredis');
-const redis = new Redis();
-const Redlock = require('redlock');
-const redlock = new Redlock([redis]);
+/**
+ * User context management for MCP server
+ * One async context API over swappable storage (see contextStore.js). Contexts
+ * are loaded as plain objects that request handling may change freely, then
+ * hand back with saveContext. Every write is a read-modify-write under the
+ * key's lock, so concurrent requests for the same user don't undo each other,
+ * and contexts expire `expirationTime` ms after they were last used.
+ * Message history is kept within a token budget of `maxContextSize` tokens,
+ * counted with the LLM provider's tokenizer. Pinned and system messages are
+ * kept ahead of others, up to half of that budget. Messages trimmed from it are
+ * folded into a running summary (see conversationSummary.js) in the background.
+ */
+const { createContextStore } = require('./contextStore');
+const { getLLMProvider } = require('./llmProvider');
+const { SUMMARY_TYPE, findSummaryBlock, isSummaryBlock, summarizeConversation } = require('./conversationSummary');
+const { MEMORY_TOP_K, MEMORY_TOKEN_BUDGET, getEmbeddingAdapter, retrieveMemories } = require('./memoryRetrieval');
+
+// Tokens a message costs beyond its content: the role and the separators around it
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Share of the token budget, and of maxMessageHistory, that pinned messages may hold
+// before the newer ones are trimmed like any other message
+const PINNED_SHARE = 0.5;
+
+// Trimmed messages that wait before being summarized together; 0 turns summaries off
+const configuredBatchSize = parseInt(process.env.CONTEXT_SUMMARY_BATCH, 10);
+const SUMMARY_BATCH_SIZE = Number.isNaN(configuredBatchSize) || configuredBatchSize < 0 ? 4 : configuredBatchSize;
+
+// Fields clients may set through the context API; the summary, held-back queries,
+// result sets and the messages waiting to be summarized are the server's alone
+const CLIENT_UPDATE_FIELDS = ['sessionEntities', 'messageHistory', 'toolState', 'memoryBlocks'];
+
+// Set on a context for each request by attachIdentity, so never stored
+const TRANSIENT_FIELDS = ['identity', 'accessRole'];
+
+// Serialized field values of each loaded context, to tell what a request changed
+const loadedFields = new WeakMap();
+
+function storedFields(context) {
+  const stored = { ...context };
+  TRANSIENT_FIELDS.forEach(key => delete stored[key]);
+  return stored;
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function invalidUpdateError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_CONTEXT_UPDATE';
+  return error;
+}
+
+function serializeFields(context) {
+  const fields = new Map();
+  for (const [key, value] of Object.entries(storedFields(context))) {
+    if (value !== undefined) {
+      fields.set(key, JSON.stringify(value));
+    }
+  }
+  return fields;
+}
 
 class ContextManager {
-  constructor() {
-    // Set expiration time for contexts (30 minutes in ms)
-    this.expirationTime = 30 * 60 * 1000;
+  /**
+   * @param {Object} options
+   * @param {Object} options.store Context store; defaults to the one selected by CONTEXT_STORE
+   * @param {number} options.expirationTime Idle time before a context expires, in ms
+   * @param {number} options.maxContextSize Token budget for a context's messages and memory
+   * @param {number} options.maxMessageHistory Most messages kept in messageHistory
+   * @param {number} options.maxQueryHistory Most entries kept in queryHistory
+   * @param {Function} options.countTokens Token counter for text; defaults to the LLM provider's
+   * @param {number} options.summaryBatchSize Trimmed messages summarized at a time; 0 turns summaries off
+   * @param {Function} options.summarize (previousBlock, messages) -> { content, tables, filters, entities };
+   *   defaults to summarizeConversation
+   * @param {number} options.memoryTopK Most memory blocks in the model context; defaults to MEMORY_TOP_K
+   * @param {number} options.memoryTokenBudget Most tokens of memory in the model context; defaults to MEMORY_TOKEN_BUDGET
+   * @param {Object|null} options.embeddings Embedding adapter for memory retrieval; defaults to MEMORY_EMBEDDINGS
+   */
+  constructor(options = {}) {
+    this.store = options.store || createContextStore();
+
+    // Configuration
+    this.expirationTime = options.expirationTime || 30 * 60 * 1000; // 30 minutes default
+    this.maxContextSize = options.maxContextSize || 4096; // tokens
+    this.maxMessageHistory = options.maxMessageHistory || 20;
+    this.maxQueryHistory = options.maxQueryHistory || 5;
+    this.countTokens = options.countTokens || (text => getLLMProvider().countTokens(text));
+    this.summaryBatchSize = options.summaryBatchSize !== undefined ? options.summaryBatchSize : SUMMARY_BATCH_SIZE;
+    this.summarize = options.summarize || ((previous, messages) => summarizeConversation(previous, messages));
+
+    this.memoryTopK = options.memoryTopK || MEMORY_TOP_K;
+    this.memoryTokenBudget = options.memoryTokenBudget || MEMORY_TOKEN_BUDGET; // tokens
+    this.embeddings = options.embeddings !== undefined ? options.embeddings : getEmbeddingAdapter();
+
+    // userId -> the summary run in progress, so one process summarizes a user's messages once
+    this.summaryRuns = new Map();
+  }
+
+  createContext(userId) {
+    return {
+      userId,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      sessionEntities: {},
+      messageHistory: [],
+      queryHistory: [],
+      toolState: {},
+      contextSize: 0,
+      memoryBlocks: [], // For long-term memory
+      // Trimmed messages not yet in the summary, and how many messages were ever trimmed
+      evictedMessages: [],
+      evictedCount: 0
+    };
+  }
+
+  async load(userId) {
+    const stored = await this.store.get(userId);
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  async write(userId, context) {
+    await this.store.set(userId, JSON.stringify(storedFields(context)), this.expirationTime);
   }
-  
+
+  // Remember what a context looked like when handed out
+  track(context) {
+    loadedFields.set(context, serializeFields(context));
+    return context;
+  }
+
+  // Run a read-modify-write of one context under its lock
+  async modifyContext(userId, modify) {
+    if (!userId) {
+      throw new Error('Invalid userId');
+    }
+
+    const release = await this.store.lock(userId);
+    try {
+      const context = (await this.load(userId)) || this.createContext(userId);
+      modify(context);
+      await this.write(userId, context);
+      return this.track(context);
+    } finally {
+      await release();
+    }
+  }
+
   // Get a user's context, or create a new one if it doesn't exist
   async getUserContext(userId) {
     if (!userId) {
       throw new Error('Invalid userId');
     }
-    try {
-      let context = await redis.get(userId);
-      if (!context) {
-        context = {
-          userId,
-          createdAt: new Date(),
-          updatedAt: new Date(),
-          sessionEntities: {},
-          queryHistory: []
-        };
-        await redis.set(userId, JSON.stringify(context));
-      } else {
-        context = JSON.parse(context);
-        context.updatedAt = new Date();
-        await redis.set(userId, JSON.stringify(context));
-      }
-      return context;
-    } catch (error) {
-      console.error('Error retrieving user context:', error);
-      throw new Error('Failed to retrieve user context');
+
+    const context = await this.load(userId);
+    if (context) {
+      // Using a context keeps it from expiring
+      await this.store.touch(userId, this.expirationTime);
+      return this.track(context);
+    }
+
+    // Another request may create it at the same time; only one of them writes it
+    return await this.modifyContext(userId, () => {});
+  }
+
+  // Whether a user has a context that hasn't expired
+  async hasContext(userId) {
+    return (await this.store.get(userId)) !== null;
+  }
+
+  // Token count of one message, content plus overhead
+  countMessageTokens(message) {
+    const content = typeof message.content === 'string'
+      ? message.content
+      : JSON.stringify(message.content === undefined ? null : message.content);
+    return this.countTokens(content) + MESSAGE_OVERHEAD_TOKENS;
+  }
+
+  // System messages, and messages sent with pinned: true (such as schema descriptions), are kept
+  // ahead of others, within their share of the budget (see trimMessages)
+  isPinned(message) {
+    return message.pinned === true || message.role === 'system';
+  }
+
+  /**
+   * Trims messages to a token budget and to maxMessageHistory
+   * Messages are dropped oldest first. Pinned messages are skipped, oldest first,
+   * as long as together they fit in PINNED_SHARE of the budget and of
+   * maxMessageHistory; pinned messages beyond that share are dropped like any
+   * other, so clients can't grow the history without bound by pinning. The
+   * newest message is always kept.
+   * @param {Array} messages The messages, oldest first
+   * @param {number} budget Token budget; defaults to maxContextSize
+   * @returns {Object} { messages, tokenCount, evicted } with the kept and the dropped messages
+   */
+  trimMessages(messages, budget = this.maxContextSize) {
+    const sizes = messages.map(message => this.countMessageTokens(message));
+    const keep = messages.map(() => true);
+    let tokenCount = sizes.reduce((total, size) => total + size, 0);
+    let count = messages.length;
+
+    // The pinned messages that fit in their share are never dropped
+    const pinnedTokenLimit = Math.floor(budget * PINNED_SHARE);
+    const pinnedCountLimit = Math.max(1, Math.floor(this.maxMessageHistory * PINNED_SHARE));
+    const protectedPinned = messages.map(() => false);
+    let pinnedTokens = 0;
+    let pinnedCount = 0;
+    messages.forEach((message, i) => {
+      if (!this.isPinned(message) || pinnedCount >= pinnedCountLimit || pinnedTokens + sizes[i] > pinnedTokenLimit) return;
+
+      protectedPinned[i] = true;
+      pinnedTokens += sizes[i];
+      pinnedCount++;
+    });
+
+    for (let i = 0; i < messages.length - 1 && (tokenCount > budget || count > this.maxMessageHistory); i++) {
+      if (protectedPinned[i]) continue;
+
+      keep[i] = false;
+      tokenCount -= sizes[i];
+      count--;
     }
+
+    return {
+      messages: messages.filter((message, i) => keep[i]),
+      tokenCount,
+      evicted: messages.filter((message, i) => !keep[i])
+    };
   }
-  
+
   // Update a user's context with new information
+  // sessionEntities and toolState are merged, messageHistory and memoryBlocks are appended,
+  // lastQuery is recorded in queryHistory, and any other field is replaced
+  // History is trimmed to the token budget, and contextSize holds its token count
+  // Trimmed messages are queued for the running summary, which is updated in the background
   async updateContext(userId, newContextInfo) {
-    const lock = await redlock.lock(`locks:${userId}`, 1000);
-    try {
-      const context = await this.getUserContext(userId);
-      
-      // Update context with new information
-      Object.assign(context, newContextInfo);
-      
-      // Add query to history (limited to last 5 queries)
-      if (newContextInfo.lastQuery) {
+    const updated = await this.modifyContext(userId, (context) => {
+      const { sessionEntities, messageHistory, toolState, memoryBlocks, ...fields } = newContextInfo;
+
+      Object.assign(context, fields);
+
+      if (sessionEntities) {
+        context.sessionEntities = {
+          ...context.sessionEntities,
+          ...sessionEntities
+        };
+      }
+
+      // Add new messages to history, dropping the oldest beyond the budget
+      if (messageHistory && messageHistory.length > 0) {
+        // Clients resend their system prompt with every request; pinned messages are kept
+        // ahead of others, so keep one copy of each
+        const pinnedKey = message => JSON.stringify([message.role, message.content]);
+        const pinned = new Set(context.messageHistory.filter(message => this.isPinned(message)).map(pinnedKey));
+        const added = messageHistory.filter(message => {
+          if (!this.isPinned(message)) return true;
+          if (pinned.has(pinnedKey(message))) return false;
+          pinned.add(pinnedKey(message));
+          return true;
+        });
+
+        const trimmed = this.trimMessages([
+          ...context.messageHistory,
+          ...added
+        ]);
+
+        context.messageHistory = trimmed.messages;
+        context.contextSize = trimmed.tokenCount;
+
+        if (trimmed.evicted.length > 0 && this.summaryBatchSize > 0) {
+          // If summarizing keeps failing, the oldest waiting messages are given up on
+          context.evictedMessages = [
+            ...(context.evictedMessages || []),
+            ...trimmed.evicted
+          ].slice(-this.maxMessageHistory);
+          context.evictedCount = (context.evictedCount || 0) + trimmed.evicted.length;
+        }
+      }
+
+      if (toolState) {
+        context.toolState = {
+          ...context.toolState,
+          ...toolState
+        };
+      }
+
+      if (memoryBlocks) {
+        context.memoryBlocks = [
+          ...context.memoryBlocks,
+          ...memoryBlocks
+        ];
+      }
+
+      // Keep the most recent queries
+      if (fields.lastQuery) {
         context.queryHistory = [
           {
-            query: newContextInfo.lastQuery,
-            sql: newContextInfo.lastSql,
+            query: fields.lastQuery,
+            sql: fields.lastSql,
             timestamp: new Date()
           },
           ...context.queryHistory
-        ].slice(0, 5);
+        ].slice(0, this.maxQueryHistory);
       }
-      
-      // Update timestamp
+
       context.updatedAt = new Date();
-      
-      // Store the updated context
-      await redis.set(userId, JSON.stringify(context));
-      
-      return context;
+    });
+
+    // The request doesn't wait for the model; a failed run leaves the messages for the next one
+    if (this.summaryBatchSize > 0 && (updated.evictedMessages || []).length >= this.summaryBatchSize) {
+      this.summarizeHistory(userId, this.summaryBatchSize).catch(error => {
+        console.error(`Could not summarize the conversation of ${userId}:`, error.message);
+      });
+    }
+    return updated;
+  }
+
+  /**
+   * Folds a user's trimmed messages into the running summary memory block
+   * Runs for the same user take turns, so a batch is summarized once per process.
+   * The model is called without holding the lock, and the result is only stored if
+   * no other process stored a summary meanwhile; the messages then wait for the next run.
+   * @param {string} userId The user
+   * @param {number} minMessages Do nothing unless at least this many messages are waiting
+   * @returns {Promise<Object|null>} The updated context, or null if nothing was summarized
+   */
+  summarizeHistory(userId, minMessages = 1) {
+    const previous = this.summaryRuns.get(userId) || Promise.resolve();
+    const run = previous.then(() => this.foldEvictedMessages(userId, minMessages));
+
+    const settled = run.catch(() => {}).finally(() => {
+      if (this.summaryRuns.get(userId) === settled) this.summaryRuns.delete(userId);
+    });
+    this.summaryRuns.set(userId, settled);
+    return run;
+  }
+
+  async foldEvictedMessages(userId, minMessages) {
+    const context = await this.load(userId);
+    const waiting = context ? context.evictedMessages || [] : [];
+    if (waiting.length === 0 || waiting.length < minMessages) {
+      return null;
+    }
+
+    const previous = findSummaryBlock(context.memoryBlocks);
+    const previousThrough = previous ? previous.metadata.summarizedThrough : 0;
+    const through = context.evictedCount;
+    const summary = await this.summarize(previous, waiting);
+
+    const release = await this.store.lock(userId);
+    try {
+      // The context may have been cleared while the model was working
+      const stored = await this.load(userId);
+      if (!stored) return null;
+
+      const current = findSummaryBlock(stored.memoryBlocks);
+      if ((current ? current.metadata.summarizedThrough : 0) !== previousThrough) {
+        return null;
+      }
+
+      // Drop the messages that are now in the summary; ones trimmed meanwhile keep waiting
+      const firstWaiting = stored.evictedCount - stored.evictedMessages.length;
+      stored.evictedMessages = stored.evictedMessages.slice(Math.max(0, through - firstWaiting));
+
+      stored.memoryBlocks = [
+        {
+          content: summary.content,
+          metadata: {
+            type: SUMMARY_TYPE,
+            tables: summary.tables || [],
+            filters: summary.filters || [],
+            entities: summary.entities || [],
+            summarizedThrough: through,
+            timestamp: new Date()
+          }
+        },
+        ...stored.memoryBlocks.filter(block => !isSummaryBlock(block))
+      ];
+
+      await this.write(userId, stored);
+      return this.track(stored);
     } finally {
-      await lock.unlock();
+      await release();
     }
   }
-  
+
+  /**
+   * Stores the changes a request made to a loaded context
+   * Only fields that differ from when the context was loaded are written, over the
+   * latest stored copy, so changes other requests made meanwhile are kept.
+   * @param {string} userId The user
+   * @param {Object} context A context from getUserContext or updateContext
+   * @returns {Object} The stored context
+   */
+  async saveContext(userId, context) {
+    const before = loadedFields.get(context) || new Map();
+    const after = serializeFields(context);
+
+    const changed = Array.from(new Set([...before.keys(), ...after.keys()]))
+      .filter(key => before.get(key) !== after.get(key));
+
+    if (changed.length === 0) {
+      return context;
+    }
+
+    const saved = await this.modifyContext(userId, (stored) => {
+      for (const key of changed) {
+        if (after.has(key)) {
+          stored[key] = context[key];
+        } else {
+          delete stored[key];
+        }
+      }
+      stored.updatedAt = new Date();
+    });
+
+    // The caller's object is now in step with what was stored
+    this.track(context);
+    return saved;
+  }
+
+  // Generate model context from user context
+  // The conversation summary and the memory relevant to the query come first; the messages
+  // get whatever remains of the token budget. The query defaults to the latest user message.
+  async generateModelContext(userId, query) {
+    const context = await this.getUserContext(userId);
+    const summary = findSummaryBlock(context.memoryBlocks);
+    const summaryTokens = summary ? this.countMessageTokens(summary) : 0;
+
+    const latestUserMessage = context.messageHistory.filter(message => message.role === 'user').pop();
+    const relevantMemory = await this._retrieveRelevantMemory(
+      context,
+      query !== undefined ? query : (latestUserMessage ? latestUserMessage.content : ''),
+      Math.min(this.memoryTokenBudget, Math.max(0, this.maxContextSize - summaryTokens))
+    );
+    const memoryTokens = relevantMemory.reduce((total, block) => total + this.countMessageTokens(block), summaryTokens);
+
+    const { messages, tokenCount } = this.trimMessages(
+      context.messageHistory,
+      Math.max(0, this.maxContextSize - memoryTokens)
+    );
+
+    // Convert context to a format suitable for the model
+    return {
+      messages,
+      entities: context.sessionEntities,
+      toolState: context.toolState,
+      summary,
+      relevantMemory,
+      tokenCount: tokenCount + memoryTokens
+    };
+  }
+
+  // Retrieve the memory blocks most relevant to a query, within a token budget
+  // The conversation summary is always included separately
+  async _retrieveRelevantMemory(context, query, budget) {
+    return await retrieveMemories(
+      context.memoryBlocks.filter(block => !isSummaryBlock(block)),
+      typeof query === 'string' ? query : JSON.stringify(query),
+      {
+        topK: this.memoryTopK,
+        tokenBudget: budget,
+        countTokens: block => this.countMessageTokens(block),
+        embeddings: this.embeddings
+      }
+    );
+  }
+
   // Clear a user's context
   async clearContext(userId) {
-    await redis.del(userId);
+    await this.store.delete(userId);
   }
-  
-  // Clean up expired contexts (could be called by a timer)
-  async cleanupExpiredContexts() {
-    const now = new Date();
-    const keys = await redis.keys('*');
-    
-    for (const key of keys) {
-      try {
-        const context = JSON.parse(await redis.get(key));
-        const lastUpdated = new Date(context.updatedAt);
-        const elapsed = now - lastUpdated;
-        
-        if (elapsed > this.expirationTime) {
-          await redis.del(key);
+
+  // Store important information as a memory block
+  async addMemoryBlock(userId, content, metadata = {}) {
+    return await this.modifyContext(userId, (context) => {
+      context.memoryBlocks.push({
+        content,
+        metadata: {
+          ...metadata,
+          timestamp: new Date()
         }
-      } catch (error) {
-        console.error(`Error cleaning up context for key ${key}:`, error);
+      });
+    });
+  }
+
+  /**
+   * Applies a context update sent by a client
+   * Only CLIENT_UPDATE_FIELDS are taken, and memory blocks posing as the
+   * conversation summary are dropped. Throws an error with code
+   * INVALID_CONTEXT_UPDATE if a field has the wrong shape.
+   * @param {string} userId The user whose context to update
+   * @param {Object} data The fields the client sent
+   * @returns {Promise<Object>} The updated context
+   */
+  async updateContextFromClient(userId, data = {}) {
+    if (!isPlainObject(data)) {
+      throw invalidUpdateError('Context data must be an object');
+    }
+
+    const update = {};
+    for (const field of CLIENT_UPDATE_FIELDS) {
+      if (data[field] !== undefined) update[field] = data[field];
+    }
+
+    for (const field of ['sessionEntities', 'toolState']) {
+      if (update[field] !== undefined && !isPlainObject(update[field])) {
+        throw invalidUpdateError(`${field} must be an object`);
+      }
+    }
+
+    if (update.messageHistory !== undefined &&
+        (!Array.isArray(update.messageHistory) || !update.messageHistory.every(message => isPlainObject(message) && typeof message.role === 'string'))) {
+      throw invalidUpdateError('messageHistory must be an array of messages with a role');
+    }
+
+    if (update.memoryBlocks !== undefined) {
+      if (!Array.isArray(update.memoryBlocks) || !update.memoryBlocks.every(isPlainObject)) {
+        throw invalidUpdateError('memoryBlocks must be an array of objects');
       }
+      update.memoryBlocks = update.memoryBlocks.filter(block => !isSummaryBlock(block));
     }
+
+    return await this.updateContext(userId, update);
+  }
+
+  // Clean up expired contexts (called by a timer); stores also skip expired contexts on read
+  async cleanupExpiredContexts() {
+    await this.store.sweep();
   }
 }
 
 module.exports = {
   ContextManager
-};
\ No newline at end of file
+};
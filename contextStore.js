@@ -0,0 +1,399 @@
+// File: contextStore.js
+/**
+ * Storage backends for user contexts
+ * A store keeps serialized contexts by key, each with an expiry time, and
+ * provides a per-key lock for read-modify-write updates. All stores behave the
+ * same way, so the context manager works unchanged on any of them:
+ *
+ *   get(key)              -> the stored string, or null if missing or expired
+ *   set(key, value, ttl)  -> stores the string; it expires ttl ms from now
+ *   touch(key, ttl)       -> pushes the expiry back to ttl ms from now
+ *   delete(key)
+ *   keys()                -> keys of the contexts that haven't expired
+ *   sweep()               -> removes expired contexts
+ *   lock(key)             -> resolves to a release function once the key's lock is held
+ *
+ * Select one with CONTEXT_STORE: memory (default), file or redis.
+ *
+ * Locks work the same in every store: a lock not released within CONTEXT_LOCK_TTL
+ * ms is considered abandoned and passes to the next caller, and a caller gives up
+ * with CONTEXT_LOCK_TIMEOUT after waiting twice that long. Releasing a lock that
+ * has already passed on does nothing.
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Longest a lock is held before it's considered abandoned, and longest a caller waits for one;
+// the wait outlasts the TTL, so an abandoned lock is always taken over before callers give up
+const LOCK_TTL = parseInt(process.env.CONTEXT_LOCK_TTL, 10) || 30 * 1000;
+const LOCK_WAIT = 2 * LOCK_TTL;
+const LOCK_RETRY_DELAY = 50;
+
+function lockExpiredWarning(key) {
+  console.warn(`Context lock on ${key} was held longer than ${LOCK_TTL} ms and has been released`);
+}
+
+function lockTimeoutError(key) {
+  const error = new Error(`Timed out waiting for the context lock on ${key}`);
+  error.code = 'CONTEXT_LOCK_TIMEOUT';
+  return error;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// In-process lock queue per key, shared by the memory and file stores
+class KeyedMutex {
+  constructor() {
+    this.tails = new Map();
+  }
+
+  async acquire(key) {
+    const previous = this.tails.get(key) || Promise.resolve();
+    let release;
+    const current = new Promise(resolve => { release = resolve; });
+    const tail = previous.then(() => current);
+    this.tails.set(key, tail);
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(lockTimeoutError(key)), LOCK_WAIT);
+    });
+
+    try {
+      await Promise.race([previous, timeout]);
+    } catch (error) {
+      // Give up our place without holding up whoever queued behind us
+      previous.then(release);
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+
+    let released = false;
+    const releaseOnce = () => {
+      if (released) return;
+      released = true;
+      clearTimeout(expiry);
+      release();
+      if (this.tails.get(key) === tail) this.tails.delete(key);
+    };
+
+    // An abandoned lock passes on after LOCK_TTL, like the file and Redis locks
+    const expiry = setTimeout(() => {
+      lockExpiredWarning(key);
+      releaseOnce();
+    }, LOCK_TTL);
+    if (expiry.unref) expiry.unref();
+
+    return releaseOnce;
+  }
+}
+
+// Contexts in process memory; lost on restart
+class MemoryContextStore {
+  constructor() {
+    this.entries = new Map(); // key -> { value, expiresAt }
+    this.mutex = new KeyedMutex();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttl) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+  }
+
+  async touch(key, ttl) {
+    const entry = this.entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) {
+      entry.expiresAt = Date.now() + ttl;
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async keys() {
+    await this.sweep();
+    return Array.from(this.entries.keys());
+  }
+
+  async sweep() {
+    const now = Date.now();
+    for (const [key, entry] of this.entries.entries()) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  lock(key) {
+    return this.mutex.acquire(key);
+  }
+}
+
+// One JSON file per context, for durability on a single node
+// Locks are lock files, so several processes can share the directory
+class FileContextStore {
+  constructor(options = {}) {
+    this.dir = options.dir || process.env.CONTEXT_STORE_DIR || path.join(__dirname, 'data', 'contexts');
+    this.mutex = new KeyedMutex();
+    this.ready = null;
+  }
+
+  ensureDir() {
+    if (!this.ready) {
+      this.ready = fs.mkdir(this.dir, { recursive: true });
+    }
+    return this.ready;
+  }
+
+  // Keys are user and session IDs of any length; hash them so every file name is safe and short.
+  // Each file stores its key, so keys are never read back from file names
+  filePath(key, extension = '.json') {
+    const digest = crypto.createHash('sha256').update(String(key)).digest('hex');
+    return path.join(this.dir, `${digest}${extension}`);
+  }
+
+  async readEntry(key) {
+    return await this.readFile(this.filePath(key));
+  }
+
+  async readFile(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      // A half-written or corrupt file is treated as missing
+      console.error(`Unreadable context file ${path.basename(file)}:`, error.message);
+      return null;
+    }
+  }
+
+  // Write to a temporary file and rename it, so readers never see a partial file
+  async writeEntry(key, entry) {
+    await this.ensureDir();
+    const target = this.filePath(key);
+    const temporary = `${target}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(entry), 'utf8');
+    await fs.rename(temporary, target);
+  }
+
+  async get(key) {
+    const entry = await this.readEntry(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      await this.delete(key);
+      return null;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttl) {
+    await this.writeEntry(key, { key, value, expiresAt: Date.now() + ttl });
+  }
+
+  // Rewrites the file, so it takes the lock to not undo a concurrent set
+  async touch(key, ttl) {
+    const release = await this.lock(key);
+    try {
+      const entry = await this.readEntry(key);
+      if (entry && entry.expiresAt > Date.now()) {
+        await this.writeEntry(key, { ...entry, expiresAt: Date.now() + ttl });
+      }
+    } finally {
+      await release();
+    }
+  }
+
+  async delete(key) {
+    await fs.unlink(this.filePath(key)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  async keys() {
+    await this.sweep();
+    return (await this.listEntries()).map(({ entry }) => entry.key);
+  }
+
+  // Every stored entry with its file
+  async listEntries() {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const entries = [];
+    for (const name of files.filter(file => file.endsWith('.json'))) {
+      const file = path.join(this.dir, name);
+      const entry = await this.readFile(file);
+      if (entry) entries.push({ file, entry });
+    }
+    return entries;
+  }
+
+  async sweep() {
+    const now = Date.now();
+    for (const { file, entry } of await this.listEntries()) {
+      if (entry.expiresAt > now) continue;
+      await fs.unlink(file).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+  }
+
+  async lock(key) {
+    // Queue in-process first, so only one local caller polls the lock file
+    const releaseLocal = await this.mutex.acquire(key);
+
+    try {
+      await this.ensureDir();
+      const lockPath = this.filePath(key, '.lock');
+      const token = crypto.randomUUID();
+      const deadline = Date.now() + LOCK_WAIT;
+
+      for (;;) {
+        try {
+          const handle = await fs.open(lockPath, 'wx');
+          try {
+            await handle.writeFile(token, 'utf8');
+          } finally {
+            await handle.close();
+          }
+          break;
+        } catch (error) {
+          if (error.code !== 'EEXIST') throw error;
+        }
+
+        // A lock left behind by a crashed process is taken over once it's stale
+        const stats = await fs.stat(lockPath).catch(() => null);
+        if (stats && Date.now() - stats.mtimeMs > LOCK_TTL) {
+          await fs.unlink(lockPath).catch(() => {});
+          continue;
+        }
+
+        if (Date.now() > deadline) throw lockTimeoutError(key);
+        await sleep(LOCK_RETRY_DELAY);
+      }
+
+      // Only remove the lock file if it is still ours, not one taken over after it went stale
+      return async () => {
+        const holder = await fs.readFile(lockPath, 'utf8').catch(() => null);
+        if (holder === token) {
+          await fs.unlink(lockPath).catch(() => {});
+        }
+        releaseLocal();
+      };
+    } catch (error) {
+      releaseLocal();
+      throw error;
+    }
+  }
+}
+
+// Contexts in Redis, shared by every server instance; Redis expires them itself
+// Requires the optional ioredis package
+class RedisContextStore {
+  constructor(options = {}) {
+    let Redis;
+    try {
+      Redis = require('ioredis');
+    } catch (error) {
+      throw new Error('CONTEXT_STORE=redis requires the ioredis package (npm install ioredis)');
+    }
+
+    this.redis = options.client || new Redis(options.url || process.env.REDIS_URL || 'redis://localhost:6379');
+    this.prefix = options.prefix || 'mcp:context:';
+    // Kept apart from the context keys, so keys() never lists a lock
+    this.lockPrefix = `${this.prefix.replace(/:$/, '')}-lock:`;
+  }
+
+  async get(key) {
+    return await this.redis.get(this.prefix + key);
+  }
+
+  async set(key, value, ttl) {
+    await this.redis.set(this.prefix + key, value, 'PX', ttl);
+  }
+
+  async touch(key, ttl) {
+    await this.redis.pexpire(this.prefix + key, ttl);
+  }
+
+  async delete(key) {
+    await this.redis.del(this.prefix + key);
+  }
+
+  async keys() {
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await this.redis.scan(cursor, 'MATCH', `${this.prefix}*`, 'COUNT', 100);
+      cursor = next;
+      keys.push(...batch.map(key => key.slice(this.prefix.length)));
+    } while (cursor !== '0');
+    return keys;
+  }
+
+  async sweep() {
+    // Redis removes expired keys on its own
+  }
+
+  async lock(key) {
+    const lockKey = this.lockPrefix + key;
+    const token = crypto.randomUUID();
+    const deadline = Date.now() + LOCK_WAIT;
+
+    while (await this.redis.set(lockKey, token, 'PX', LOCK_TTL, 'NX') !== 'OK') {
+      if (Date.now() > deadline) throw lockTimeoutError(key);
+      await sleep(LOCK_RETRY_DELAY);
+    }
+
+    // Only delete the lock if it is still ours, not one taken over after it expired
+    return async () => {
+      await this.redis.eval(
+        "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end",
+        1, lockKey, token
+      );
+    };
+  }
+}
+
+/**
+ * Creates the context store selected by CONTEXT_STORE
+ * @param {string} type memory, file or redis; defaults to CONTEXT_STORE, then memory
+ * @param {Object} options Passed to the store, e.g. { dir } for file or { url } for redis
+ * @returns {Object} The store
+ */
+function createContextStore(type = process.env.CONTEXT_STORE || 'memory', options = {}) {
+  switch (type) {
+    case 'memory':
+      return new MemoryContextStore(options);
+    case 'file':
+      return new FileContextStore(options);
+    case 'redis':
+      return new RedisContextStore(options);
+    default:
+      throw new Error(`Unknown CONTEXT_STORE: ${type} (use memory, file or redis)`);
+  }
+}
+
+module.exports = {
+  MemoryContextStore,
+  FileContextStore,
+  RedisContextStore,
+  createContextStore
+};
@@ -0,0 +1,138 @@
+// File: conversationSummary.js
+/**
+ * Rolling conversation summaries for long sessions
+ * Messages trimmed out of a context's history are folded by the LLM into one
+ * running summary, stored as a memory block. It records the tables, filters
+ * and entities the user has been working with, so a follow-up can still refer
+ * to turns that are no longer in the history.
+ */
+const { getLLMProvider } = require('./llmProvider');
+const { parseModelResponse } = require('./nlToSqlConverter');
+
+// memoryBlocks entry holding the summary: { content, metadata: { type, tables, filters, entities, ... } }
+const SUMMARY_TYPE = 'conversation_summary';
+
+// Length the model is asked to keep the summary text within
+const SUMMARY_WORDS = parseInt(process.env.CONTEXT_SUMMARY_WORDS, 10) || 150;
+
+// Characters of each message shown to the model; results and long prompts are cut
+const MAX_MESSAGE_CHARS = 1000;
+
+// Most tables, filters or entities kept, newest last
+const MAX_LIST_ITEMS = 20;
+
+/**
+ * Finds the summary block among a context's memory blocks
+ * @param {Array} memoryBlocks The context's memory blocks
+ * @returns {Object|null} The summary block, or null if nothing was summarized yet
+ */
+function findSummaryBlock(memoryBlocks = []) {
+  return memoryBlocks.find(isSummaryBlock) || null;
+}
+
+function isSummaryBlock(block) {
+  return Boolean(block && block.metadata && block.metadata.type === SUMMARY_TYPE);
+}
+
+function formatMessage(message) {
+  const content = typeof message.content === 'string' ? message.content : JSON.stringify(message.content);
+  const shown = content && content.length > MAX_MESSAGE_CHARS
+    ? `${content.substring(0, MAX_MESSAGE_CHARS)}...`
+    : content;
+  return `${message.role}: ${shown}`;
+}
+
+// Trimmed, distinct strings; the model's lists are capped so the summary can't grow without bound
+function cleanList(list) {
+  if (!Array.isArray(list)) return [];
+  const items = list
+    .filter(item => typeof item === 'string' && item.trim())
+    .map(item => item.trim());
+  return Array.from(new Set(items)).slice(-MAX_LIST_ITEMS);
+}
+
+// Summary text as the model sees it later, lists included
+function formatSummaryContent({ summary, tables, filters, entities }) {
+  const lines = [summary];
+  if (tables.length > 0) lines.push(`Tables: ${tables.join(', ')}`);
+  if (filters.length > 0) lines.push(`Filters: ${filters.join('; ')}`);
+  if (entities.length > 0) lines.push(`Entities: ${entities.join(', ')}`);
+  return lines.join('\n');
+}
+
+/**
+ * Folds messages into the running summary
+ * Throws if the model's answer has no usable summary; the previous one should then be kept.
+ * @param {Object|null} previous The current summary block, if any
+ * @param {Array} messages Messages that left the history, oldest first
+ * @param {Object} provider LLM provider; defaults to the configured one
+ * @returns {Promise<Object>} { content, tables, filters, entities } for the new summary block
+ */
+async function summarizeConversation(previous, messages, provider = getLLMProvider()) {
+  const previousMetadata = previous ? previous.metadata : {};
+
+  const system = `
+You maintain a running summary of a conversation between a user and an assistant that turns questions into MySQL queries.
+Merge the earlier summary with the new messages into one updated summary, written for the assistant to read before answering follow-up questions.
+
+Keep:
+1. The tables the user has been querying
+2. The filters, groupings and time ranges in effect (for example "orders from 2024", "grouped by region")
+3. The entities the user referred to: customers, products, IDs and other values they may come back to
+4. What the user was trying to find out, and what the latest results showed
+
+Drop greetings and anything the user has moved away from. Keep the summary under ${SUMMARY_WORDS} words.
+
+Respond with a JSON object:
+{
+  "summary": "THE UPDATED SUMMARY",
+  "tables": ["table1", ...],
+  "filters": ["filter1", ...],
+  "entities": ["entity1", ...]
+}
+  `;
+
+  const input = `
+Conversation to summarize.
+
+Earlier summary: ${previous ? previous.content : '(none)'}
+Earlier tables: ${(previousMetadata.tables || []).join(', ') || '(none)'}
+Earlier filters: ${(previousMetadata.filters || []).join('; ') || '(none)'}
+Earlier entities: ${(previousMetadata.entities || []).join(', ') || '(none)'}
+
+New messages:
+${messages.map(formatMessage).join('\n')}
+  `;
+
+  const responseText = await provider.generate({
+    system,
+    messages: [{ role: 'user', content: input.trim() }],
+    temperature: 0.1
+  });
+
+  const parsed = parseModelResponse(responseText);
+  if (!parsed || typeof parsed.summary !== 'string' || !parsed.summary.trim()) {
+    throw new Error('The model returned no summary');
+  }
+
+  const result = {
+    summary: parsed.summary.trim(),
+    tables: cleanList(parsed.tables),
+    filters: cleanList(parsed.filters),
+    entities: cleanList(parsed.entities)
+  };
+
+  return {
+    content: formatSummaryContent(result),
+    tables: result.tables,
+    filters: result.filters,
+    entities: result.entities
+  };
+}
+
+module.exports = {
+  SUMMARY_TYPE,
+  findSummaryBlock,
+  isSummaryBlock,
+  summarizeConversation
+};
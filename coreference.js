@@ -0,0 +1,360 @@
+// File: coreference.js
+/**
+ * Coreference resolution for follow-up questions
+ * After each query, the context records what its result was about: the key
+ * column and IDs of the rows, a label for each row, and the filter that
+ * selected them. References in the next question, such as "those customers",
+ * "the second one", "exclude them" or "the same filter", are resolved against
+ * these result sets into explicit SQL: an IN-list of the IDs, or a subquery
+ * over the earlier query when its result was too large to list.
+ */
+const { parseSql, getTableReferences, findSchemaTable } = require('./sqlAst');
+
+// Result sets kept in the context, newest first
+const COREFERENCE_RESULT_SETS = parseInt(process.env.COREFERENCE_RESULT_SETS, 10) || 3;
+// Most IDs of a result written out as an IN-list; larger results are referred to with a subquery
+const COREFERENCE_MAX_IDS = parseInt(process.env.COREFERENCE_MAX_IDS, 10) || 100;
+
+const MAX_LABEL_LENGTH = 60;
+
+const ORDINALS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5,
+  sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10
+};
+
+// Nouns that refer to rows of any result
+const GENERIC_SINGULAR = new Set(['one', 'row', 'result', 'item', 'entry', 'record']);
+const GENERIC_PLURAL = new Set(['ones', 'rows', 'results', 'items', 'entries', 'records']);
+
+const LABEL_COLUMN = /(^|_)(name|title|label|username|email)$/i;
+
+function singular(word) {
+  const lower = word.toLowerCase();
+  if (lower.endsWith('ies')) return `${lower.slice(0, -3)}y`;
+  if (/(ses|xes|ches|shes)$/.test(lower)) return lower.slice(0, -2);
+  if (lower.endsWith('s') && !lower.endsWith('ss')) return lower.slice(0, -1);
+  return lower;
+}
+
+function sameNoun(a, b) {
+  return singular(a) === singular(b);
+}
+
+// SQL literal for an ID, or null for values that can't be written out safely
+function sqlLiteral(value) {
+  if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+  if (typeof value === 'bigint') return value.toString();
+  if (typeof value === 'string') return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "''")}'`;
+  return null;
+}
+
+function quoteIdentifier(name) {
+  return `\`${String(name).replace(/`/g, '``')}\``;
+}
+
+// The table and column a result's IDs identify, and the result field holding them
+function findKey(fields, primaryTable, schema) {
+  const primaryKey = table => {
+    const schemaTable = table ? findSchemaTable(schema, table) : null;
+    return schemaTable && Array.isArray(schemaTable.primaryKey) && schemaTable.primaryKey.length === 1
+      ? { table: schemaTable.name, column: schemaTable.primaryKey[0] }
+      : null;
+  };
+
+  // The primary key of a table the result reads, the first table's first
+  const ordered = [
+    ...fields.filter(field => (field.table || primaryTable) === primaryTable),
+    ...fields.filter(field => (field.table || primaryTable) !== primaryTable)
+  ];
+  for (const field of ordered) {
+    const key = primaryKey(field.table || primaryTable);
+    if (key && (field.column || field.name).toLowerCase() === key.column.toLowerCase()) {
+      return { ...key, field: field.name };
+    }
+  }
+
+  // A foreign key such as customer_id, which identifies rows of customers
+  for (const field of fields) {
+    const match = /^(.+)_id$/i.exec(field.column || field.name);
+    if (!match) continue;
+
+    const table = [match[1], `${match[1]}s`, `${match[1]}es`, `${match[1].replace(/y$/, '')}ies`]
+      .map(name => findSchemaTable(schema, name))
+      .find(Boolean);
+    const key = table ? primaryKey(table.name) : null;
+    if (key) {
+      return { ...key, field: field.name };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Records what a query result was about, for later questions to refer to
+ * @param {string} question The question the query answered
+ * @param {string} sql The query, before row filters were applied
+ * @param {Object} results The masked results the user saw
+ * @param {Object} schema Schema from getCachedSchema()
+ * @returns {Object|null} The result set, or null if the query can't be understood
+ */
+function captureResultSet(question, sql, results, schema) {
+  let ast;
+  try {
+    [ast] = parseSql(sql);
+  } catch (error) {
+    return null;
+  }
+  if (!ast || ast.type !== 'select' || !results || !Array.isArray(results.rows)) {
+    return null;
+  }
+
+  const tableReferences = getTableReferences(ast);
+  const primaryTable = Array.isArray(ast.from) && ast.from[0] && ast.from[0].table
+    ? ast.from[0].table
+    : null;
+
+  // Masked values can't identify anything, and mustn't be repeated in prompts
+  const fields = (results.fields || []).filter(field => !field.masking);
+  const key = primaryTable ? findKey(fields, primaryTable, schema) : null;
+
+  const labelField = key
+    ? (fields.find(field => field.name !== key.field && LABEL_COLUMN.test(field.name)) ||
+       fields.find(field => field.name !== key.field && results.rows.some(row => typeof row[field.name] === 'string')))
+    : null;
+
+  const items = key
+    ? results.rows.slice(0, COREFERENCE_MAX_IDS).map(row => ({
+      id: row[key.field],
+      label: labelField && row[labelField.name] !== null && row[labelField.name] !== undefined
+        ? String(row[labelField.name]).substring(0, MAX_LABEL_LENGTH)
+        : null
+    }))
+    : [];
+
+  const filter = ast.where && ast.where.loc
+    ? sql.substring(ast.where.loc.start.offset, ast.where.loc.end.offset).trim()
+    : null;
+
+  // Nothing in this result could be referred to
+  if (!key && !filter) {
+    return null;
+  }
+
+  const distinctIds = new Set(items.map(item => item.id));
+  const complete = Boolean(key) &&
+    !results.truncated &&
+    results.rows.length <= COREFERENCE_MAX_IDS &&
+    items.every(item => sqlLiteral(item.id) !== null);
+
+  return {
+    question,
+    sql: sql.trim().replace(/;\s*$/, ''),
+    table: key ? key.table : primaryTable,
+    column: key ? key.column : null,
+    field: key ? key.field : null,
+    rowCount: results.rowCount,
+    idCount: complete ? distinctIds.size : null,
+    complete,
+    items,
+    // Field names must be unique to select the key out of the query as a subquery
+    subquery: Boolean(key) && (results.fields || []).filter(field => field.name === key.field).length === 1,
+    filter,
+    tables: tableReferences.map(reference => (reference.alias ? `${reference.table} AS ${reference.alias}` : reference.table)),
+    capturedAt: new Date()
+  };
+}
+
+/**
+ * Adds a result set to a context's list, newest first
+ * @param {Array} resultSets The context's result sets
+ * @param {Object|null} resultSet The new result set
+ * @returns {Array} The updated list
+ */
+function rememberResultSet(resultSets = [], resultSet) {
+  if (!resultSet) return resultSets;
+  return [resultSet, ...resultSets].slice(0, COREFERENCE_RESULT_SETS);
+}
+
+function setExpression(set) {
+  const column = `${set.table}.${set.column}`;
+
+  if (set.complete) {
+    const ids = Array.from(new Set(set.items.map(item => item.id)));
+    return ids.length > 0 ? `${column} IN (${ids.map(sqlLiteral).join(', ')})` : null;
+  }
+  if (set.subquery) {
+    return `${column} IN (SELECT previous_result.${quoteIdentifier(set.field)} FROM (${set.sql}) AS previous_result)`;
+  }
+  return null;
+}
+
+function itemExpression(set, position) {
+  const item = set.items[position - 1];
+  const literal = item ? sqlLiteral(item.id) : null;
+  return literal !== null ? `${set.table}.${set.column} = ${literal}` : null;
+}
+
+// The newest result set about a table, or the newest with IDs for a generic noun
+function findResultSet(resultSets, noun) {
+  return resultSets.find(set => set.column && (noun === null || sameNoun(noun, set.table))) || null;
+}
+
+function shortList(expression) {
+  return expression.length > 160 ? `${expression.substring(0, 157)}...)` : expression;
+}
+
+/**
+ * Resolves references to earlier results in a question
+ * References that can't be resolved are left out; the model still sees the previous query.
+ * @param {string} text The question
+ * @param {Array} resultSets The context's result sets, newest first
+ * @returns {Array} { phrase, kind ('set', 'item' or 'filter'), sql, description, question } per reference
+ */
+function resolveReferences(text, resultSets = []) {
+  if (!text || resultSets.length === 0) {
+    return [];
+  }
+
+  const references = [];
+  const taken = [];
+
+  const add = (match, resolve) => {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (taken.some(([s, e]) => start < e && end > s)) return;
+
+    const reference = resolve();
+    if (!reference) return;
+
+    taken.push([start, end]);
+    const phrase = match[0].trim();
+    if (!references.some(existing => existing.phrase.toLowerCase() === phrase.toLowerCase())) {
+      references.push({ phrase, ...reference });
+    }
+  };
+
+  const each = (pattern, resolve) => {
+    for (const match of text.matchAll(pattern)) {
+      add(match, () => resolve(match));
+    }
+  };
+
+  // "the same filter", "those conditions"
+  each(/\b(?:the same|that|this|those|these)\s+(?:filters?|conditions?|criteria|constraints?)\b/gi, () => {
+    const set = resultSets.find(candidate => candidate.filter);
+    return set && {
+      kind: 'filter',
+      sql: set.filter,
+      question: set.question,
+      description: `the filter of "${set.question}": WHERE ${set.filter} (tables: ${set.tables.join(', ')})`
+    };
+  });
+
+  // "the second one", "the 3rd customer", "the last row", "row 2", "#2"
+  const ordinal = (word, noun) => {
+    const generic = GENERIC_SINGULAR.has(noun.toLowerCase());
+    const set = findResultSet(resultSets, generic ? null : noun);
+    if (!set) return null;
+
+    const lower = word.toLowerCase();
+    const position = lower === 'last'
+      ? (set.items.length === set.rowCount ? set.items.length : 0)
+      : ORDINALS[lower] || parseInt(lower, 10);
+    const expression = position > 0 ? itemExpression(set, position) : null;
+    if (!expression) return null;
+
+    const label = set.items[position - 1].label;
+    return {
+      kind: 'item',
+      sql: expression,
+      question: set.question,
+      description: `${label ? `${label}, ` : ''}row ${position} of "${set.question}" (${expression})`
+    };
+  };
+  each(/\bthe\s+(first|second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth|last|\d+(?:st|nd|rd|th))\s+([a-z_]+)\b/gi,
+    match => ordinal(match[1], match[2]));
+  each(/(?:\brow\s+|#)(\d+)\b/gi, match => ordinal(match[1], 'row'));
+
+  const wholeSet = (set) => {
+    const expression = set ? setExpression(set) : null;
+    return expression && {
+      kind: 'set',
+      sql: expression,
+      question: set.question,
+      description: set.complete
+        ? `the ${set.idCount} ${set.idCount === 1 ? singular(set.table) : set.table} from "${set.question}" (${shortList(expression)})`
+        : `the ${set.table} from "${set.question}", selected again with a subquery (${expression})`
+    };
+  };
+
+  // "those customers", "these results", "the same products"
+  each(/\b(?:those|these|the same)\s+([a-z_]+)\b/gi, match => {
+    const noun = match[1];
+    if (GENERIC_PLURAL.has(noun.toLowerCase())) return wholeSet(findResultSet(resultSets, null));
+    return singular(noun) !== noun.toLowerCase() ? wholeSet(findResultSet(resultSets, noun)) : null;
+  });
+
+  // "that customer", "this one": only when the result was a single row
+  each(/\b(?:that|this)\s+([a-z_]+)\b/gi, match => {
+    const noun = match[1];
+    const set = findResultSet(resultSets, GENERIC_SINGULAR.has(noun.toLowerCase()) ? null : noun);
+    return set && set.rowCount === 1 ? ordinal('first', noun) : null;
+  });
+
+  // "exclude them", "their orders"
+  each(/\b(?:them|they|their)\b/gi, () => wholeSet(findResultSet(resultSets, null)));
+
+  return references;
+}
+
+/**
+ * Lists resolved references for a model prompt
+ * @param {Array} references References from resolveReferences
+ * @returns {string} Prompt text, or an empty string without references
+ */
+function formatReferencesForPrompt(references = []) {
+  if (references.length === 0) return '';
+
+  const lines = references.map(reference => `- "${reference.phrase}": ${reference.kind === 'filter' ? `WHERE ${reference.sql}` : reference.sql}`);
+  return `Resolved references (use this SQL for each one, with the table name changed to any alias you use, and NOT IN or != where the question excludes them):\n${lines.join('\n')}`;
+}
+
+/**
+ * Whether generated SQL uses a resolved reference
+ * @param {Object} reference A reference from resolveReferences
+ * @param {string} sql The generated SQL
+ * @returns {boolean|null} null for filters, which the model may rephrase
+ */
+function referenceUsed(reference, sql) {
+  if (reference.kind === 'filter' || !sql) return null;
+  if (/previous_result/.test(reference.sql)) return /previous_result/i.test(sql);
+
+  // Every ID of the reference must appear in the SQL
+  const list = reference.sql.replace(/^.*?(?:IN \(|= )/, '').replace(/\)$/, '');
+  const literals = list.match(/'(?:[^']|'')*'|[^,\s]+/g) || [];
+  return literals.every(literal => (literal.startsWith("'")
+    ? sql.includes(literal)
+    : new RegExp(`(^|[^\\w.])${literal.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}($|[^\\w.])`).test(sql)));
+}
+
+/**
+ * Explains what each reference was resolved to, for the response
+ * @param {Array} references References from resolveReferences, with `used` set
+ * @returns {string} Text for the response, or an empty string without references
+ */
+function describeReferences(references = []) {
+  if (references.length === 0) return '';
+
+  const lines = references.map(reference => `- "${reference.phrase}": ${reference.description}${reference.used === false ? ' (not used in the generated SQL)' : ''}`);
+  return `I read your references as:\n${lines.join('\n')}`;
+}
+
+module.exports = {
+  captureResultSet,
+  rememberResultSet,
+  resolveReferences,
+  formatReferencesForPrompt,
+  referenceUsed,
+  describeReferences
+};
@@ -0,0 +1,124 @@
+// File: costGuard.js
+/**
+ * Pre-execution cost guard for MCP server
+ * Runs EXPLAIN FORMAT=JSON on a query and compares the optimizer's estimates
+ * with configurable thresholds, so accidental cartesian joins and huge scans
+ * never reach the database.
+ */
+const { executeReadOnlyQuery } = require('./dbConnector');
+
+// What to do with an expensive query: 'reject', 'confirm' (ask the caller first) or 'off'
+const COST_GUARD_MODE = (process.env.COST_GUARD_MODE || 'confirm').toLowerCase();
+// Estimated rows examined across all tables and joins
+const MAX_ROWS_EXAMINED = parseInt(process.env.COST_GUARD_MAX_ROWS_EXAMINED, 10) || 1000000;
+// A full table scan is flagged when the table has at least this many rows
+const FULL_SCAN_ROWS = parseInt(process.env.COST_GUARD_FULL_SCAN_ROWS, 10) || 100000;
+// Filesort or temporary tables are flagged when sorting at least this many rows
+const SORT_ROWS = parseInt(process.env.COST_GUARD_SORT_ROWS, 10) || 100000;
+
+function toNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : 0;
+}
+
+// Walk the EXPLAIN JSON plan and collect the estimates the guard cares about
+function summarizePlan(plan) {
+  const summary = {
+    queryCost: toNumber(plan.query_block && plan.query_block.cost_info && plan.query_block.cost_info.query_cost),
+    rowsExamined: 0,
+    fullScans: [],
+    usingFilesort: false,
+    usingTemporary: false
+  };
+
+  function visitTable(table, prefixRows) {
+    const examinedPerScan = toNumber(table.rows_examined_per_scan);
+    summary.rowsExamined += examinedPerScan * Math.max(prefixRows, 1);
+
+    if (table.access_type === 'ALL' && examinedPerScan >= FULL_SCAN_ROWS) {
+      summary.fullScans.push({ table: table.table_name, rows: examinedPerScan });
+    }
+
+    // Materialized subqueries and derived tables nest a plan of their own
+    visit(table, 1);
+    return toNumber(table.rows_produced_per_join) || examinedPerScan;
+  }
+
+  function visit(node, prefixRows) {
+    if (!node || typeof node !== 'object') return;
+
+    if (node.using_filesort === true) summary.usingFilesort = true;
+    if (node.using_temporary_table === true) summary.usingTemporary = true;
+
+    for (const [key, child] of Object.entries(node)) {
+      if (key === 'nested_loop' && Array.isArray(child)) {
+        // Each table in a join is scanned once per row produced by the tables before it
+        let rows = prefixRows;
+        for (const entry of child) {
+          rows = entry.table ? visitTable(entry.table, rows) : rows;
+        }
+      } else if (key === 'table' && child && typeof child === 'object' && !Array.isArray(child)) {
+        visitTable(child, prefixRows);
+      } else if (child && typeof child === 'object') {
+        visit(child, prefixRows);
+      }
+    }
+  }
+
+  visit(plan, 1);
+  summary.rowsExamined = Math.round(summary.rowsExamined);
+  return summary;
+}
+
+/**
+ * Estimates the cost of a query and decides whether it may run
+ * @param {string} sql The SQL that would be executed
+ * @param {Object} options Optional `signal` to cancel the EXPLAIN
+ * @returns {Object} { allowed, action, reasons, estimate } where action is
+ *   'execute', 'reject' or 'confirm'
+ */
+async function assessQueryCost(sql, options = {}) {
+  if (COST_GUARD_MODE === 'off') {
+    return { allowed: true, action: 'execute', reasons: [], estimate: null };
+  }
+
+  // Read-only and under the query timeout, like the query itself would be
+  const explain = await executeReadOnlyQuery(`EXPLAIN FORMAT=JSON ${sql.replace(/;\s*$/, '')}`, { signal: options.signal });
+  const planText = explain.rows[0] && (explain.rows[0].EXPLAIN || Object.values(explain.rows[0])[0]);
+  const plan = typeof planText === 'string' ? JSON.parse(planText) : planText;
+
+  const estimate = summarizePlan(plan || {});
+  const reasons = [];
+
+  if (estimate.rowsExamined > MAX_ROWS_EXAMINED) {
+    reasons.push(`examines an estimated ${estimate.rowsExamined} rows (limit ${MAX_ROWS_EXAMINED})`);
+  }
+
+  for (const scan of estimate.fullScans) {
+    reasons.push(`scans the whole ${scan.table} table (about ${scan.rows} rows)`);
+  }
+
+  if ((estimate.usingFilesort || estimate.usingTemporary) && estimate.rowsExamined >= SORT_ROWS) {
+    const operations = [
+      estimate.usingFilesort ? 'a filesort' : null,
+      estimate.usingTemporary ? 'a temporary table' : null
+    ].filter(Boolean).join(' and ');
+    reasons.push(`needs ${operations} over about ${estimate.rowsExamined} rows`);
+  }
+
+  if (reasons.length === 0) {
+    return { allowed: true, action: 'execute', reasons, estimate };
+  }
+
+  return {
+    allowed: false,
+    action: COST_GUARD_MODE === 'reject' ? 'reject' : 'confirm',
+    reasons,
+    estimate
+  };
+}
+
+module.exports = {
+  assessQueryCost,
+  summarizePlan
+};
@@ -1,18 +1,44 @@
 // File: dbConnector.js
+const { EventEmitter } = require('events');
 const mysql = require('mysql2/promise');
 
+const DB_NAME = process.env.DB_NAME || 'your_database';
+
 // Initialize MySQL connection pool
 const pool = mysql.createPool({
   host: process.env.DB_HOST || 'localhost',
   user: process.env.DB_USER || 'root',
   password: process.env.DB_PASSWORD || 'your_password',
-  database: process.env.DB_NAME || 'your_database',
+  database: DB_NAME,
   port: process.env.DB_PORT || 3306,
   waitForConnections: true,
   connectionLimit: 10,
   queueLimit: 0
 });
 
+// Server-side execution time limit for read-only queries, in ms
+const QUERY_TIMEOUT = parseInt(process.env.QUERY_TIMEOUT, 10) || 30 * 1000;
+// Extra time the client waits before killing a query itself
+const CLIENT_TIMEOUT_GRACE = 1000;
+
+// MySQL error for queries stopped by max_execution_time
+const ER_QUERY_TIMEOUT = 3024;
+
+// Convert driver rows and fields into the result format used throughout the server
+function formatResults(rows, fields) {
+  return {
+    rows: rows,
+    rowCount: rows.length,
+    fields: fields ? fields.map(f => ({
+      name: f.name,
+      dataType: f.type,
+      // Source table and column, so aliased columns can still be classified
+      table: f.orgTable || f.table || null,
+      column: f.orgName || f.name
+    })) : []
+  };
+}
+
 // Function to execute SQL queries
 async function executeQuery(sqlQuery) {
   try {
@@ -20,20 +46,117 @@ async function executeQuery(sqlQuery) {
     const [rows, fields] = await pool.query(sqlQuery);
     
     // Return the query results
-    return {
-      rows: rows,
-      rowCount: rows.length,
-      fields: fields ? fields.map(f => ({
-        name: f.name,
-        dataType: f.type
-      })) : []
-    };
+    return formatResults(rows, fields);
   } catch (error) {
     console.error('Error executing SQL query:', error);
     throw new Error(`Failed to execute SQL query: ${error.message}`);
   }
 }
 
+// Function to execute a query in a read-only transaction with an execution time limit
+// A timed-out query is killed on the server and fails with error.code 'QUERY_TIMEOUT'
+// Aborting options.signal kills the query too, and fails it with error.code 'QUERY_CANCELLED'
+async function executeReadOnlyQuery(sqlQuery, options = {}) {
+  const timeout = options.timeout || QUERY_TIMEOUT;
+  const signal = options.signal;
+  
+  if (signal && signal.aborted) {
+    throw queryCancelledError();
+  }
+  
+  const connection = await pool.getConnection();
+  let timer = null;
+  let timedOut = false;
+  let cancelled = false;
+  let onAbort = null;
+  
+  try {
+    // The server stops the SELECT itself once the limit is reached
+    await connection.query('SET SESSION max_execution_time = ?', [timeout]);
+    await connection.query('START TRANSACTION READ ONLY');
+    
+    // Backstop for anything max_execution_time doesn't cover, such as lock waits
+    const clientTimeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        timedOut = true;
+        killQuery(connection.threadId).finally(() => {
+          reject(new Error(`Query exceeded the ${timeout} ms time limit`));
+        });
+      }, timeout + CLIENT_TIMEOUT_GRACE);
+    });
+    
+    // The caller gave up: stop the statement on the server, not just our wait for it
+    const cancellation = new Promise((resolve, reject) => {
+      if (!signal) return;
+      onAbort = () => {
+        cancelled = true;
+        killQuery(connection.threadId).finally(() => reject(queryCancelledError()));
+      };
+      if (signal.aborted) {
+        onAbort();
+      } else {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+    });
+    
+    const [rows, fields] = await Promise.race([connection.query(sqlQuery), clientTimeout, cancellation]);
+    
+    await connection.query('COMMIT');
+    return formatResults(rows, fields);
+  } catch (error) {
+    await connection.query('ROLLBACK').catch(() => {});
+    
+    if (cancelled) {
+      throw queryCancelledError();
+    }
+    
+    const isTimeout = timedOut || error.errno === ER_QUERY_TIMEOUT;
+    
+    console.error('Error executing read-only SQL query:', error);
+    const wrapped = new Error(isTimeout
+      ? `Query timed out after ${timeout} ms and was cancelled`
+      : `Failed to execute SQL query: ${error.message}`);
+    wrapped.code = isTimeout ? 'QUERY_TIMEOUT' : error.code;
+    throw wrapped;
+  } finally {
+    clearTimeout(timer);
+    if (onAbort) signal.removeEventListener('abort', onAbort);
+    await connection.query('SET SESSION max_execution_time = DEFAULT').catch(() => {});
+    connection.release();
+  }
+}
+
+function queryCancelledError() {
+  const error = new Error('Query was cancelled');
+  error.code = 'QUERY_CANCELLED';
+  return error;
+}
+
+// Cancel the statement running on a connection, from another connection
+async function killQuery(threadId) {
+  try {
+    await pool.query(`KILL QUERY ${Number(threadId)}`);
+  } catch (error) {
+    console.error(`Failed to kill query on connection ${threadId}:`, error);
+  }
+}
+
+// Schema cache so the prompt builder doesn't hit INFORMATION_SCHEMA on every request
+const SCHEMA_CACHE_TTL = parseInt(process.env.SCHEMA_CACHE_TTL, 10) || 10 * 60 * 1000; // 10 minutes default
+let schemaCache = null;
+let schemaCachedAt = 0;
+let schemaLoading = null;
+
+// Emits 'refresh' (schema, previousSchema) whenever the cached schema is reloaded
+const schemaEvents = new EventEmitter();
+// Every MCP session listens, so there is no sensible listener limit
+schemaEvents.setMaxListeners(0);
+
+// Name of the database the pool connects to
+function getDatabaseName() {
+  return DB_NAME;
+}
+
 // Function to get database schema information
 async function getDatabaseSchema() {
   try {
@@ -44,37 +167,100 @@ async function getDatabaseSchema() {
     // Query to get table information
     const tablesQuery = `
       SELECT 
-        table_name 
+        table_name AS tableName,
+        table_rows AS rowEstimate,
+        table_comment AS tableComment
       FROM 
         information_schema.tables 
       WHERE 
-        table_schema = ?
+        table_schema = ? AND
+        table_type = 'BASE TABLE'
+      ORDER BY 
+        table_name
     `;
     
     const [tables] = await pool.query(tablesQuery, [dbName]);
     
-    // Get columns for each table
+    // Query to get columns of every table in one round trip
+    const columnsQuery = `
+      SELECT 
+        table_name AS tableName,
+        column_name AS columnName, 
+        column_type AS columnType,
+        data_type AS dataType,
+        is_nullable AS isNullable,
+        column_default AS columnDefault,
+        column_key AS columnKey,
+        extra,
+        column_comment AS columnComment
+      FROM 
+        information_schema.columns 
+      WHERE 
+        table_schema = ?
+      ORDER BY 
+        table_name, ordinal_position
+    `;
+    
+    const [columns] = await pool.query(columnsQuery, [dbName]);
+    
+    // Query to get foreign key relationships
+    const foreignKeysQuery = `
+      SELECT 
+        table_name AS tableName,
+        column_name AS columnName,
+        referenced_table_name AS referencedTable,
+        referenced_column_name AS referencedColumn
+      FROM 
+        information_schema.key_column_usage 
+      WHERE 
+        table_schema = ? AND 
+        referenced_table_name IS NOT NULL
+    `;
+    
+    const [foreignKeys] = await pool.query(foreignKeysQuery, [dbName]);
+    
     const schema = {};
     
     for (const table of tables) {
-      const tableName = table.TABLE_NAME;
+      schema[table.tableName] = {
+        name: table.tableName,
+        rowEstimate: table.rowEstimate,
+        comment: table.tableComment || '',
+        columns: [],
+        primaryKey: [],
+        foreignKeys: []
+      };
+    }
+    
+    for (const column of columns) {
+      const table = schema[column.tableName];
+      if (!table) continue; // Skip views
       
-      const columnsQuery = `
-        SELECT 
-          column_name, 
-          data_type,
-          is_nullable,
-          column_default
-        FROM 
-          information_schema.columns 
-        WHERE 
-          table_schema = ? AND 
-          table_name = ?
-      `;
+      table.columns.push({
+        name: column.columnName,
+        type: column.columnType,
+        dataType: column.dataType,
+        nullable: column.isNullable === 'YES',
+        default: column.columnDefault,
+        key: column.columnKey || '',
+        extra: column.extra || '',
+        comment: column.columnComment || ''
+      });
       
-      const [columns] = await pool.query(columnsQuery, [dbName, tableName]);
+      if (column.columnKey === 'PRI') {
+        table.primaryKey.push(column.columnName);
+      }
+    }
+    
+    for (const fk of foreignKeys) {
+      const table = schema[fk.tableName];
+      if (!table) continue;
       
-      schema[tableName] = columns;
+      table.foreignKeys.push({
+        column: fk.columnName,
+        referencedTable: fk.referencedTable,
+        referencedColumn: fk.referencedColumn
+      });
     }
     
     return schema;
@@ -84,7 +270,42 @@ async function getDatabaseSchema() {
   }
 }
 
+// Get the schema from the cache, loading it if missing or stale
+async function getCachedSchema() {
+  if (schemaCache && Date.now() - schemaCachedAt < SCHEMA_CACHE_TTL) {
+    return schemaCache;
+  }
+  
+  return await refreshSchemaCache();
+}
+
+// Reload the schema from INFORMATION_SCHEMA and replace the cached copy
+async function refreshSchemaCache() {
+  // Share a single in-flight load between concurrent callers
+  if (!schemaLoading) {
+    schemaLoading = getDatabaseSchema()
+      .then(schema => {
+        const previous = schemaCache;
+        schemaCache = schema;
+        schemaCachedAt = Date.now();
+        schemaEvents.emit('refresh', schema, previous);
+        return schema;
+      })
+      .finally(() => {
+        schemaLoading = null;
+      });
+  }
+  
+  return await schemaLoading;
+}
+
 module.exports = {
   executeQuery,
-  getDatabaseSchema
+  executeReadOnlyQuery,
+  killQuery,
+  getDatabaseSchema,
+  getCachedSchema,
+  refreshSchemaCache,
+  getDatabaseName,
+  schemaEvents
 };
\ No newline at end of file
@@ -0,0 +1,212 @@
+// File: llmProvider.js
+/**
+ * LLM provider layer for the MCP server
+ * Every provider exposes the same interface:
+ *   generate({ system, messages, temperature }) -> Promise<string>
+ *   countTokens(text) -> number
+ * where messages is an array of { role: 'user' | 'assistant', content }.
+ * countTokens is an estimate unless the provider is created with an exact
+ * `tokenizer` function for its model, e.g. one built on the model's vocabulary.
+ * The provider is chosen by the LLM_PROVIDER environment variable.
+ */
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+require('dotenv').config();
+
+// Rough token count: about four characters per token for English text and SQL,
+// and never fewer tokens than words
+function estimateTokens(text) {
+  if (!text) return 0;
+  const words = text.trim().split(/\s+/).filter(Boolean).length;
+  return Math.max(words, Math.ceil(text.length / 4));
+}
+
+// Google Gemini adapter
+class GeminiProvider {
+  constructor(options = {}) {
+    this.name = 'gemini';
+    this.apiKey = options.apiKey || process.env.GEMINI_API_KEY;
+    this.model = options.model || process.env.LLM_MODEL || 'gemini-2.0-flash';
+    this.tokenizer = options.tokenizer || estimateTokens;
+    this.client = null;
+  }
+
+  countTokens(text) {
+    return this.tokenizer(text);
+  }
+
+  // Create the client on first use so the server can start without a key
+  _getClient() {
+    if (!this.client) {
+      if (!this.apiKey) {
+        throw new Error('GEMINI_API_KEY is not set in environment variables');
+      }
+      const { GoogleGenerativeAI } = require('@google/generative-ai');
+      this.client = new GoogleGenerativeAI(this.apiKey);
+    }
+    return this.client;
+  }
+
+  async generate({ system, messages, temperature = 0.1 }) {
+    const model = this._getClient().getGenerativeModel({ model: this.model });
+
+    // Gemini has no system role here, so the instructions open the chat history
+    const history = [];
+    if (system) {
+      history.push(
+        { role: 'user', parts: [{ text: system }] },
+        { role: 'model', parts: [{ text: 'I understand. I will follow these instructions.' }] }
+      );
+    }
+
+    for (const message of messages.slice(0, -1)) {
+      history.push({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [{ text: message.content }]
+      });
+    }
+
+    const chat = model.startChat({
+      generationConfig: {
+        temperature,
+        topP: 0.8,
+        topK: 40
+      },
+      history
+    });
+
+    const result = await chat.sendMessage(messages[messages.length - 1].content);
+    const response = await result.response;
+    return response.text();
+  }
+}
+
+// OpenAI-compatible chat completions adapter (OpenAI, Ollama, llama.cpp, vLLM, ...)
+class OpenAICompatibleProvider {
+  constructor(options = {}) {
+    this.name = 'openai';
+    this.baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.model = options.model || process.env.LLM_MODEL || 'gpt-4o-mini';
+    this.timeout = options.timeout || parseInt(process.env.LLM_TIMEOUT, 10) || 60 * 1000;
+    this.tokenizer = options.tokenizer || estimateTokens;
+  }
+
+  countTokens(text) {
+    return this.tokenizer(text);
+  }
+
+  async generate({ system, messages, temperature = 0.1 }) {
+    const chatMessages = [];
+    if (system) {
+      chatMessages.push({ role: 'system', content: system });
+    }
+    chatMessages.push(...messages.map(m => ({ role: m.role, content: m.content })));
+
+    const headers = { 'Content-Type': 'application/json' };
+    // Local servers usually don't need a key
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    try {
+      const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+        model: this.model,
+        messages: chatMessages,
+        temperature,
+        top_p: 0.8
+      }, { headers, timeout: this.timeout });
+
+      const choice = response.data.choices && response.data.choices[0];
+      if (!choice || !choice.message) {
+        throw new Error('Response contained no choices');
+      }
+      return choice.message.content || '';
+    } catch (error) {
+      const details = error.response?.data?.error?.message || error.message;
+      throw new Error(`OpenAI-compatible provider request failed: ${details}`);
+    }
+  }
+}
+
+// Deterministic offline provider driven by a fixtures file
+// Fixture format: { "responses": [{ "match": "regex", "response": ... }], "default": ... }
+class MockProvider {
+  constructor(options = {}) {
+    this.name = 'mock';
+    this.fixturesPath = options.fixturesPath || process.env.LLM_MOCK_FIXTURES ||
+      path.join(__dirname, 'fixtures', 'mockLlmResponses.json');
+    this.fixtures = options.fixtures || null;
+    this.tokenizer = options.tokenizer || estimateTokens;
+    this.calls = [];
+  }
+
+  countTokens(text) {
+    return this.tokenizer(text);
+  }
+
+  _loadFixtures() {
+    if (!this.fixtures) {
+      this.fixtures = JSON.parse(fs.readFileSync(this.fixturesPath, 'utf8'));
+    }
+    return this.fixtures;
+  }
+
+  async generate({ system, messages, temperature }) {
+    const fixtures = this._loadFixtures();
+    const input = messages[messages.length - 1].content;
+
+    this.calls.push({ system, messages, temperature });
+
+    const fixture = (fixtures.responses || []).find(f => new RegExp(f.match, 'i').test(input));
+    const response = fixture ? fixture.response : fixtures.default;
+
+    if (response === undefined) {
+      throw new Error(`Mock provider has no fixture matching: ${input}`);
+    }
+
+    // Objects are returned the way a model would write them: as JSON text
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
+}
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  openai: OpenAICompatibleProvider,
+  mock: MockProvider
+};
+
+// Create a provider by name ('gemini', 'openai' or 'mock')
+function createLLMProvider(name = process.env.LLM_PROVIDER || 'gemini', options = {}) {
+  const Provider = PROVIDERS[name.toLowerCase()];
+  if (!Provider) {
+    throw new Error(`Unknown LLM provider: ${name}. Available providers: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  return new Provider(options);
+}
+
+let defaultProvider = null;
+
+// Get the process-wide provider configured through the environment
+function getLLMProvider() {
+  if (!defaultProvider) {
+    defaultProvider = createLLMProvider();
+  }
+  return defaultProvider;
+}
+
+// Replace the process-wide provider (e.g. with a MockProvider in tests)
+function setLLMProvider(provider) {
+  defaultProvider = provider;
+}
+
+module.exports = {
+  GeminiProvider,
+  OpenAICompatibleProvider,
+  MockProvider,
+  estimateTokens,
+  createLLMProvider,
+  getLLMProvider,
+  setLLMProvider
+};
@@ -0,0 +1,301 @@
+// File: mcpHttpTransport.js
+/**
+ * MCP Streamable HTTP transport for MCP server
+ * A single endpoint takes JSON-RPC messages: POST sends them and gets the
+ * responses back as JSON or as a Server-Sent Events stream, GET opens a stream
+ * for server notifications, and DELETE ends the session.
+ * Each session ID is also the key of the session's context in the context
+ * manager, so a session lives exactly as long as its context.
+ */
+const crypto = require('crypto');
+const express = require('express');
+const { attachIdentity } = require('./accessPolicy');
+const { authMode, identifyCaller } = require('./callerIdentity');
+const {
+  McpSession,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  PARSE_ERROR,
+  INVALID_REQUEST,
+  errorResponse
+} = require('./mcpProtocol');
+
+// Browser origins allowed to call the endpoint; by default only localhost, against DNS rebinding
+const ALLOWED_ORIGINS = (process.env.MCP_ALLOWED_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]'];
+
+// Comment lines keep idle streams (and slow tool calls) from being cut by proxies
+const SSE_KEEPALIVE_INTERVAL = 25 * 1000;
+
+function isAllowedOrigin(origin) {
+  // Requests without an Origin header don't come from a web page
+  if (!origin) return true;
+
+  if (ALLOWED_ORIGINS.length > 0) {
+    return ALLOWED_ORIGINS.includes('*') || ALLOWED_ORIGINS.includes(origin);
+  }
+
+  try {
+    return LOCAL_HOSTNAMES.includes(new URL(origin).hostname);
+  } catch (error) {
+    return false;
+  }
+}
+
+function acceptsEventStream(req) {
+  return (req.get('Accept') || '').includes('text/event-stream');
+}
+
+// Switch a response to a Server-Sent Events stream; returns a function that closes it
+function openEventStream(req, res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), SSE_KEEPALIVE_INTERVAL);
+  req.on('close', () => clearInterval(keepAlive));
+
+  return () => {
+    clearInterval(keepAlive);
+    res.end();
+  };
+}
+
+function writeEvent(res, message) {
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+/**
+ * Creates the Express router for the MCP endpoint
+ * @param {Object} options
+ * @param {ToolRegistry} options.toolRegistry Tools offered to clients
+ * @param {ContextManager} options.contextManager Holds one context per session
+ * @returns {express.Router} The router; mount it before any other JSON body parser
+ */
+function createMcpRouter(options) {
+  const { toolRegistry, contextManager } = options;
+  const router = express.Router();
+
+  // Session ID -> { session, userId, streams }
+  const sessions = new Map();
+
+  // A session is gone once its context expired, unless a stream keeps it open
+  async function isExpired(sessionId, entry) {
+    return entry.streams.size === 0 && !(await contextManager.hasContext(sessionId));
+  }
+
+  // Forget expired sessions
+  async function sweepSessions() {
+    for (const [sessionId, entry] of sessions.entries()) {
+      if (await isExpired(sessionId, entry)) {
+        entry.session.close();
+        sessions.delete(sessionId);
+      }
+    }
+  }
+
+  async function createSession(callerId) {
+    await sweepSessions();
+
+    const sessionId = crypto.randomUUID();
+    // The user the session acts as, for access policies; unknown users get the default role
+    const userId = callerId || sessionId;
+    const entry = { userId, streams: new Set() };
+
+    entry.session = new McpSession({
+      toolRegistry,
+      getContext: async () => attachIdentity(await contextManager.getUserContext(sessionId), userId),
+      // Notifications go out on the session's GET streams; with none open they are dropped
+      sendNotification: (message) => {
+        for (const stream of entry.streams) {
+          writeEvent(stream, message);
+        }
+      }
+    });
+
+    sessions.set(sessionId, entry);
+    await contextManager.getUserContext(sessionId);
+    return { sessionId, entry };
+  }
+
+  async function endSession(sessionId) {
+    const entry = sessions.get(sessionId);
+    if (!entry) return;
+
+    for (const stream of entry.streams) {
+      stream.end();
+    }
+    entry.session.close();
+    sessions.delete(sessionId);
+    await contextManager.clearContext(sessionId);
+  }
+
+  // Look up the caller's session, answering 400 or 404 if there is none and 403 if it isn't theirs
+  async function findSession(req, res) {
+    const sessionId = req.get('Mcp-Session-Id');
+    if (!sessionId) {
+      res.status(400).json(errorResponse(null, INVALID_REQUEST, 'Missing Mcp-Session-Id header'));
+      return null;
+    }
+
+    const entry = sessions.get(sessionId);
+    if (!entry || await isExpired(sessionId, entry)) {
+      if (entry) entry.session.close();
+      sessions.delete(sessionId);
+      res.status(404).json(errorResponse(null, INVALID_REQUEST, 'Session not found or expired'));
+      return null;
+    }
+
+    // Without authentication the session ID is the only credential
+    if (authMode() !== 'none' && entry.userId !== res.locals.callerId) {
+      res.status(403).json(errorResponse(null, INVALID_REQUEST, 'Session belongs to another user'));
+      return null;
+    }
+
+    return { sessionId, entry };
+  }
+
+  router.use((req, res, next) => {
+    if (!isAllowedOrigin(req.get('Origin'))) {
+      return res.status(403).json(errorResponse(null, INVALID_REQUEST, 'Origin not allowed'));
+    }
+
+    const protocolVersion = req.get('MCP-Protocol-Version');
+    if (protocolVersion && !SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+      return res.status(400).json(errorResponse(null, INVALID_REQUEST, `Unsupported protocol version: ${protocolVersion}`));
+    }
+
+    // Browser clients need to read the session header
+    res.set('Access-Control-Expose-Headers', 'Mcp-Session-Id');
+
+    // Same identity source as the REST API (see callerIdentity.js)
+    try {
+      res.locals.callerId = identifyCaller(req);
+    } catch (error) {
+      const status = error.code === 'AUTHENTICATION_REQUIRED' ? 401 : 500;
+      return res.status(status).json(errorResponse(null, INVALID_REQUEST, error.message));
+    }
+    next();
+  });
+
+  router.use(express.json({ limit: '1mb' }));
+
+  // Malformed bodies are answered as JSON-RPC parse errors
+  router.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+      return res.status(400).json(errorResponse(null, PARSE_ERROR, `Parse error: ${error.message}`));
+    }
+    next(error);
+  });
+
+  // Client -> server messages
+  router.post('/', async (req, res) => {
+    try {
+      const message = req.body;
+      const messages = Array.isArray(message) ? message : [message];
+      const isInitialize = messages.some(item => item && item.method === 'initialize');
+
+      let found;
+      if (isInitialize) {
+        if (messages.length > 1) {
+          return res.status(400).json(errorResponse(null, INVALID_REQUEST, 'initialize must be sent on its own'));
+        }
+        found = await createSession(res.locals.callerId);
+      } else {
+        found = await findSession(req, res);
+        if (!found) return;
+      }
+
+      const { sessionId, entry } = found;
+      const hasRequests = messages.some(item => item && typeof item.method === 'string' && item.id !== undefined);
+
+      // Notifications and responses are only acknowledged
+      if (!hasRequests) {
+        await entry.session.handleMessage(message);
+        return res.status(202).end();
+      }
+
+      if (isInitialize) {
+        res.set('Mcp-Session-Id', sessionId);
+      }
+
+      // Open the stream before running anything, so slow tool calls keep the connection alive;
+      // progress of these requests goes out on it too
+      const closeStream = acceptsEventStream(req) ? openEventStream(req, res) : null;
+      const response = await entry.session.handleMessage(message, {
+        sendNotification: closeStream ? (notification) => writeEvent(res, notification) : undefined
+      });
+
+      // A failed initialize leaves no session behind
+      if (isInitialize && response && response.error) {
+        await endSession(sessionId);
+      }
+
+      if (closeStream) {
+        for (const item of [].concat(response || [])) {
+          writeEvent(res, item);
+        }
+        return closeStream();
+      }
+
+      // Every request in the message was cancelled
+      if (!response) {
+        return res.status(202).end();
+      }
+
+      res.json(response);
+    } catch (error) {
+      console.error('Error processing MCP request:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: error.message });
+      } else {
+        res.end();
+      }
+    }
+  });
+
+  // Server -> client notification stream
+  router.get('/', async (req, res) => {
+    if (!acceptsEventStream(req)) {
+      return res.status(406).json(errorResponse(null, INVALID_REQUEST, 'Accept must include text/event-stream'));
+    }
+
+    try {
+      const found = await findSession(req, res);
+      if (!found) return;
+
+      const { entry } = found;
+      openEventStream(req, res);
+      entry.streams.add(res);
+      req.on('close', () => entry.streams.delete(res));
+    } catch (error) {
+      console.error('Error opening MCP notification stream:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Explicit session termination
+  router.delete('/', async (req, res) => {
+    try {
+      const found = await findSession(req, res);
+      if (!found) return;
+
+      await endSession(found.sessionId);
+      res.status(204).end();
+    } catch (error) {
+      console.error('Error ending MCP session:', error);
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createMcpRouter
+};
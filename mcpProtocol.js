@@ -0,0 +1,402 @@
+// File: mcpProtocol.js
+/**
+ * Model Context Protocol (JSON-RPC 2.0) message handling for MCP server
+ * An McpSession holds the state of one client connection and answers its
+ * messages. It knows nothing about the transport: stdio and HTTP both hand it
+ * parsed messages and write back whatever it returns.
+ */
+const { version } = require('./package.json');
+const { getCachedSchema, schemaEvents } = require('./dbConnector');
+const { filterSchemaForRole } = require('./accessPolicy');
+const {
+  SCHEMA_RESOURCE_TEMPLATE,
+  describeTable,
+  listSchemaResources,
+  readSchemaResource
+} = require('./schemaResources');
+const { listPrompts, expandPrompt } = require('./promptTemplates');
+
+// Protocol revisions this server speaks, newest first
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const SERVER_INFO = {
+  name: 'mcp-sql-assistant',
+  version
+};
+
+// JSON-RPC 2.0 error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+// MCP error for a resource URI that doesn't exist
+const RESOURCE_NOT_FOUND = -32002;
+
+function rpcError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function errorResponse(id, code, message) {
+  return {
+    jsonrpc: '2.0',
+    id: id === undefined ? null : id,
+    error: { code, message }
+  };
+}
+
+// Describe a registry tool the way MCP clients expect it
+function toMcpTool(tool) {
+  return {
+    name: tool.name,
+    description: tool.description,
+    inputSchema: tool.inputSchema,
+    ...(tool.version ? { _meta: { version: tool.version } } : {})
+  };
+}
+
+class McpSession {
+  /**
+   * @param {Object} options
+   * @param {ToolRegistry} options.toolRegistry Tools offered to the client
+   * @param {Function} options.getContext Resolves to the user context tools run with
+   * @param {Function} options.sendNotification Optional; delivers server notifications to the client
+   */
+  constructor(options) {
+    this.toolRegistry = options.toolRegistry;
+    this.getContext = options.getContext;
+    this.sendNotification = options.sendNotification || null;
+
+    this.protocolVersion = null;
+    this.clientInfo = null;
+    this.clientCapabilities = {};
+    this.initialized = false;
+
+    // Request ID -> AbortController, for requests still running
+    this.inFlight = new Map();
+
+    // Resource URIs the client asked to hear about
+    this.subscriptions = new Set();
+    this.handleSchemaRefresh = this.handleSchemaRefresh.bind(this);
+    schemaEvents.on('refresh', this.handleSchemaRefresh);
+
+    this.toolsChangedPending = false;
+    this.handleToolsChanged = this.handleToolsChanged.bind(this);
+    this.toolRegistry.on('toolsChanged', this.handleToolsChanged);
+  }
+
+  // Stop listening for schema and tool changes, and stop running requests, once the connection is gone
+  close() {
+    this.inFlight.forEach(controller => controller.abort());
+    this.inFlight.clear();
+    schemaEvents.off('refresh', this.handleSchemaRefresh);
+    this.toolRegistry.off('toolsChanged', this.handleToolsChanged);
+    this.subscriptions.clear();
+  }
+
+  // What this server offers, announced in the initialize result
+  getCapabilities() {
+    return {
+      tools: { listChanged: true },
+      resources: { subscribe: true, listChanged: true },
+      prompts: { listChanged: false }
+    };
+  }
+
+  // Send a notification to the client, if the transport can deliver one
+  notify(method, params = {}) {
+    if (this.sendNotification) {
+      this.sendNotification({ jsonrpc: '2.0', method, params });
+    }
+  }
+
+  /**
+   * Handles one parsed JSON-RPC message or a batch of them
+   * @param {Object|Array} message The message
+   * @param {Object} options Optional `sendNotification` for notifications about these
+   *   requests, such as progress; they go to the session's notification channel otherwise
+   * @returns {Object|Array|null} The response, or null when nothing should be sent back
+   */
+  async handleMessage(message, options = {}) {
+    if (Array.isArray(message)) {
+      if (message.length === 0) {
+        return errorResponse(null, INVALID_REQUEST, 'Empty batch');
+      }
+
+      const responses = await Promise.all(message.map(entry => this.handleSingleMessage(entry, options)));
+      const sent = responses.filter(Boolean);
+      return sent.length > 0 ? sent : null;
+    }
+
+    return await this.handleSingleMessage(message, options);
+  }
+
+  async handleSingleMessage(message, options = {}) {
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+      return errorResponse(message && message.id, INVALID_REQUEST, 'Not a JSON-RPC 2.0 message');
+    }
+
+    // Responses to requests this server sent; none are expected yet
+    if (message.method === undefined && ('result' in message || 'error' in message)) {
+      return null;
+    }
+
+    if (typeof message.method !== 'string') {
+      return errorResponse(message.id, INVALID_REQUEST, 'Missing method');
+    }
+
+    // Notifications carry no id and never get a response
+    if (message.id === undefined) {
+      this.handleNotification(message.method, message.params || {});
+      return null;
+    }
+
+    const controller = new AbortController();
+    this.inFlight.set(message.id, controller);
+
+    const request = {
+      signal: controller.signal,
+      notify: (method, params = {}) => {
+        if (options.sendNotification) {
+          options.sendNotification({ jsonrpc: '2.0', method, params });
+        } else {
+          this.notify(method, params);
+        }
+      }
+    };
+
+    try {
+      const result = await this.handleRequest(message.method, message.params || {}, request);
+      return controller.signal.aborted ? null : { jsonrpc: '2.0', id: message.id, result };
+    } catch (error) {
+      // The client cancelled the request and expects no response to it
+      if (controller.signal.aborted) {
+        return null;
+      }
+
+      if (typeof error.code === 'number') {
+        return errorResponse(message.id, error.code, error.message);
+      }
+
+      console.error(`Error handling MCP request ${message.method}:`, error);
+      return errorResponse(message.id, INTERNAL_ERROR, error.message);
+    } finally {
+      if (this.inFlight.get(message.id) === controller) {
+        this.inFlight.delete(message.id);
+      }
+    }
+  }
+
+  handleNotification(method, params) {
+    if (method === 'notifications/initialized') {
+      this.initialized = true;
+    } else if (method === 'notifications/cancelled') {
+      // Unknown or finished requests are ignored, as the cancellation may have crossed the response
+      const controller = this.inFlight.get(params.requestId);
+      if (controller) {
+        controller.abort();
+      }
+    }
+    // Other notifications need no action
+  }
+
+  /**
+   * Answers one request
+   * @param {string} method The method
+   * @param {Object} params The request params
+   * @param {Object} request { signal, notify(method, params) } for cancellation and request notifications
+   * @returns {Object} The result
+   */
+  async handleRequest(method, params, request) {
+    if (method === 'ping') {
+      return {};
+    }
+
+    if (method === 'initialize') {
+      return this.initialize(params);
+    }
+
+    if (!this.protocolVersion) {
+      throw rpcError(INVALID_REQUEST, 'Server not initialized');
+    }
+
+    switch (method) {
+      case 'tools/list':
+        return {
+          tools: this.toolRegistry.listTools().map(toMcpTool)
+        };
+      case 'tools/call':
+        return await this.callTool(params, request);
+      case 'resources/list':
+        return {
+          resources: listSchemaResources(await this.getVisibleSchema())
+        };
+      case 'resources/templates/list':
+        return {
+          resourceTemplates: [SCHEMA_RESOURCE_TEMPLATE]
+        };
+      case 'resources/read':
+        return await this.readResource(params);
+      case 'resources/subscribe':
+        this.requireUri(params);
+        this.subscriptions.add(params.uri);
+        return {};
+      case 'resources/unsubscribe':
+        this.requireUri(params);
+        this.subscriptions.delete(params.uri);
+        return {};
+      case 'prompts/list':
+        return {
+          prompts: listPrompts()
+        };
+      case 'prompts/get':
+        return this.getPrompt(params);
+      default:
+        throw rpcError(METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  // Agree on a protocol version: the client's if we speak it, otherwise our newest
+  initialize(params) {
+    if (typeof params.protocolVersion !== 'string') {
+      throw rpcError(INVALID_PARAMS, 'initialize requires a protocolVersion');
+    }
+
+    this.protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion)
+      ? params.protocolVersion
+      : SUPPORTED_PROTOCOL_VERSIONS[0];
+    this.clientInfo = params.clientInfo || null;
+    this.clientCapabilities = params.capabilities || {};
+
+    return {
+      protocolVersion: this.protocolVersion,
+      capabilities: this.getCapabilities(),
+      serverInfo: SERVER_INFO,
+      instructions: 'Use schema_inspector to explore the tables, sql_generator to turn a question into SQL, sql_executor to run read-only SQL, and workbench_export to save SQL as a MySQL Workbench script.'
+    };
+  }
+
+  async callTool(params, request) {
+    if (typeof params.name !== 'string' || !this.toolRegistry.tools.has(params.name)) {
+      throw rpcError(INVALID_PARAMS, `Unknown tool: ${params.name}`);
+    }
+
+    // Clients that want progress send a token to tag the notifications with
+    const progressToken = params._meta ? params._meta.progressToken : undefined;
+
+    try {
+      const result = await this.toolRegistry.executeTool(params.name, params.arguments || {}, await this.getContext(), {
+        signal: request.signal,
+        onProgress: progressToken === undefined
+          ? undefined
+          : progress => request.notify('notifications/progress', { progressToken, ...progress })
+      });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
+        isError: false
+      };
+    } catch (error) {
+      // Tool failures are results the model can read, not protocol errors;
+      // invalid arguments list each problem so the model can correct its call
+      const text = error.details
+        ? JSON.stringify({ error: error.message, details: error.details }, null, 2)
+        : error.message;
+      return {
+        content: [{ type: 'text', text }],
+        isError: true
+      };
+    }
+  }
+
+  // The schema as far as the session's user may read it
+  async getVisibleSchema() {
+    return filterSchemaForRole(await getCachedSchema(), (await this.getContext()).accessRole);
+  }
+
+  requireUri(params) {
+    if (typeof params.uri !== 'string') {
+      throw rpcError(INVALID_PARAMS, 'A resource uri is required');
+    }
+  }
+
+  async readResource(params) {
+    this.requireUri(params);
+
+    const contents = readSchemaResource(params.uri, await this.getVisibleSchema());
+    if (!contents) {
+      throw rpcError(RESOURCE_NOT_FOUND, `Resource not found: ${params.uri}`);
+    }
+
+    return { contents: [contents] };
+  }
+
+  getPrompt(params) {
+    if (typeof params.name !== 'string') {
+      throw rpcError(INVALID_PARAMS, 'A prompt name is required');
+    }
+
+    try {
+      const prompt = expandPrompt(params.name, params.arguments || {});
+      return {
+        description: prompt.description,
+        messages: prompt.messages.map(message => ({
+          role: message.role,
+          content: { type: 'text', text: message.content }
+        }))
+      };
+    } catch (error) {
+      // Unknown prompts and missing arguments are the caller's mistake
+      throw rpcError(INVALID_PARAMS, error.message);
+    }
+  }
+
+  // Tell the client the tool list changed, once for a burst of changes (a plugin reload
+  // unregisters and registers several tools in one go)
+  handleToolsChanged() {
+    if (!this.protocolVersion || this.toolsChangedPending) return;
+
+    this.toolsChangedPending = true;
+    setImmediate(() => {
+      this.toolsChangedPending = false;
+      this.notify('notifications/tools/list_changed');
+    });
+  }
+
+  // Tell the client which resources a schema reload changed
+  handleSchemaRefresh(schema, previous) {
+    // Nothing to compare on the first load, and nobody to tell before initialize
+    if (!previous || !this.protocolVersion) return;
+
+    const tableNames = Object.keys(schema).sort().join('\n');
+    if (tableNames !== Object.keys(previous).sort().join('\n')) {
+      this.notify('notifications/resources/list_changed');
+    }
+
+    const previousResources = listSchemaResources(previous);
+    for (const resource of listSchemaResources(schema)) {
+      if (!this.subscriptions.has(resource.uri)) continue;
+
+      const before = previousResources.find(entry => entry.uri === resource.uri);
+      const changed = !before ||
+        JSON.stringify(describeTable(previous[before.name])) !== JSON.stringify(describeTable(schema[resource.name]));
+
+      if (changed) {
+        this.notify('notifications/resources/updated', { uri: resource.uri });
+      }
+    }
+  }
+}
+
+module.exports = {
+  McpSession,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  PARSE_ERROR,
+  INVALID_REQUEST,
+  METHOD_NOT_FOUND,
+  INVALID_PARAMS,
+  INTERNAL_ERROR,
+  RESOURCE_NOT_FOUND,
+  errorResponse
+};
@@ -1,96 +1,143 @@
 // File: mcpServer.js - Main MCP Server Implementation
 const express = require('express');
 const cors = require('cors');
-const { EnhancedContextManager } = require('./enhancedContextManager');
+const { ContextManager } = require('./contextManager');
 const { ToolRegistry } = require('./toolRegistry');
 const { processRequest } = require('./requestProcessor');
-const { processNaturalLanguage } = require('./nlToSqlConverter');
-const { executeQuery } = require('./dbConnector');
-const { applyToMySQLWorkbench } = require('./mysqlWorkbenchConnector');
-
-// Initialize Express app
-const app = express();
-app.use(cors());
-app.use(express.json());
+const { refreshSchemaCache } = require('./dbConnector');
+const { attachIdentity, loadAccessPolicy, resolveRole, canRefreshSchema } = require('./accessPolicy');
+const { registerSqlTools } = require('./sqlTools');
+const { registerDefaultMiddleware } = require('./toolMiddleware');
+const { loadToolPlugins } = require('./toolPlugins');
+const { createMcpRouter } = require('./mcpHttpTransport');
+const { listPrompts, expandPrompt } = require('./promptTemplates');
+const { createChatStream } = require('./chatStream');
+const { cancelledError, startRequest, cancelRequest } = require('./requestTracker');
+const { authMode, identifyCaller } = require('./callerIdentity');
 
 // Initialize MCP components
-const contextManager = new EnhancedContextManager({
+const contextManager = new ContextManager({
   expirationTime: 60 * 60 * 1000, // 1 hour
   maxContextSize: 8192,
   maxMessageHistory: 50
 });
 
 const toolRegistry = new ToolRegistry();
+registerSqlTools(toolRegistry);
+registerDefaultMiddleware(toolRegistry);
+loadToolPlugins(toolRegistry);
 
-// Register SQL tools
-toolRegistry.registerTool('sql_generator', {
-  description: 'Converts natural language to SQL',
-  parameters: {
-    query: {
-      type: 'string',
-      description: 'The natural language query to convert to SQL'
-    }
-  },
-  execute: async (params, context) => {
-    const result = await processNaturalLanguage(params.query, {
-      lastQuery: context.lastQuery,
-      lastSql: context.lastSql
-    });
-    return result;
-  }
-});
+// Initialize Express app
+const app = express();
+// Clients read the request ID to cancel a running request
+app.use(cors({ exposedHeaders: ['X-Request-Id'] }));
+
+// MCP Streamable HTTP endpoint; it parses its own bodies so bad JSON becomes a JSON-RPC error
+app.use('/mcp', createMcpRouter({ toolRegistry, contextManager }));
+
+app.use(express.json());
 
-toolRegistry.registerTool('sql_executor', {
-  description: 'Executes SQL queries against the database',
-  parameters: {
-    sql: {
-      type: 'string',
-      description: 'The SQL query to execute'
+// The user a request acts as, from the source AUTH_MODE names; see callerIdentity.js
+// Answers 401, 403 or 400 and returns null if there is no usable user
+function authenticateCaller(req, res, claimedUserId) {
+  try {
+    const userId = identifyCaller(req, claimedUserId);
+    if (!userId) {
+      res.status(400).json({ error: 'Missing userId' });
+      return null;
     }
-  },
-  execute: async (params) => {
-    return await executeQuery(params.sql);
+    return userId;
+  } catch (error) {
+    res.status(error.code === 'USER_MISMATCH' ? 403 : 401).json({ error: error.message, code: error.code });
+    return null;
   }
-});
+}
 
-toolRegistry.registerTool('workbench_export', {
-  description: 'Exports SQL to MySQL Workbench',
-  parameters: {
-    sql: {
-      type: 'string',
-      description: 'The SQL query to export'
-    },
-    scriptName: {
-      type: 'string',
-      description: 'Optional script name'
-    }
-  },
-  execute: async (params) => {
-    return await applyToMySQLWorkbench(params.sql, params.scriptName);
+// Track a request so it can be cancelled by ID, or by the client going away
+// Answers 400 and returns null if the client's X-Request-Id can't be used
+function trackRequest(req, res, userId) {
+  let request;
+  try {
+    request = startRequest(req.get('X-Request-Id'), userId);
+  } catch (error) {
+    res.status(400).json({ error: error.message, code: error.code });
+    return null;
   }
-});
+  
+  res.set('X-Request-Id', request.requestId);
+  res.on('close', () => {
+    if (!res.writableFinished) cancelRequest(request.requestId, userId);
+    request.finish();
+  });
+  return request;
+}
+
+function cancelledResponse(res, request) {
+  res.status(409).json({ error: 'Request was cancelled', code: 'REQUEST_CANCELLED', requestId: request.requestId });
+}
 
 // MCP API Endpoints
 // 1. Chat endpoint
 app.post('/api/v1/chat', async (req, res) => {
+  let chatStream = null;
+  
   try {
-    const { userId, messages, stream = false } = req.body;
+    const { stream = false, maxRows, confirmToken, prompt, agent = false } = req.body;
+    let { messages } = req.body;
+    
+    const userId = authenticateCaller(req, res, req.body.userId);
+    if (!userId) return;
+    
+    // A prompt template expands into messages, after any the client sent
+    if (prompt) {
+      try {
+        messages = [...(Array.isArray(messages) ? messages : []), ...expandPrompt(prompt.name, prompt.arguments).messages];
+      } catch (error) {
+        return res.status(400).json({ error: error.message });
+      }
+    }
     
-    if (!userId || !messages || !Array.isArray(messages) || messages.length === 0) {
+    // A confirmation of a held-back query needs no new messages
+    if (!confirmToken && (!messages || !Array.isArray(messages) || messages.length === 0)) {
       return res.status(400).json({ error: 'Invalid request format' });
     }
     
+    const request = trackRequest(req, res, userId);
+    if (!request) return;
+    
     // Get user context
-    const userContext = contextManager.getUserContext(userId);
+    const userContext = attachIdentity(await contextManager.getUserContext(userId), userId);
+    
+    // Streaming clients get each stage as it happens, then the final answer
+    chatStream = stream ? createChatStream(res, { requestId: request.requestId }) : null;
     
     // Process the request
-    const response = await processRequest(messages, userContext, toolRegistry);
+    const response = await processRequest(messages || [], userContext, toolRegistry, {
+      maxRows,
+      confirmToken,
+      agent,
+      signal: request.signal,
+      onProgress: chatStream ? chatStream.onProgress : undefined
+    });
     
-    // Update context with new messages
-    contextManager.updateContext(userId, {
-      messageHistory: messages
+    if (request.signal.aborted) {
+      return chatStream ? chatStream.fail(cancelledError()) : cancelledResponse(res, request);
+    }
+    
+    // Store what the request changed in the context, then the new messages and the reply,
+    // whose SQL lets the conversation summary tell which tables and filters were used
+    await contextManager.saveContext(userId, userContext);
+    await contextManager.updateContext(userId, {
+      messageHistory: [
+        ...(messages || []),
+        ...(response.content ? [{ role: 'assistant', content: response.content }] : [])
+      ]
     });
     
+    if (chatStream) {
+      return chatStream.finish(response);
+    }
+    
     res.json({
       id: `chat_${Date.now()}`,
       object: 'chat.completion',
@@ -104,6 +151,10 @@ app.post('/api/v1/chat', async (req, res) => {
     });
   } catch (error) {
     console.error('Error processing chat request:', error);
+    if (chatStream) {
+      // The stream is already open; end it with the error
+      return chatStream.fail(error);
+    }
     res.status(500).json({ error: error.message });
   }
 });
@@ -115,59 +166,122 @@ app.get('/api/v1/tools', (req, res) => {
 });
 
 // 3. Context management endpoint
-app.post('/api/v1/context/:userId', (req, res) => {
+app.post('/api/v1/context/:userId', async (req, res) => {
   try {
-    const { userId } = req.params;
+    const userId = authenticateCaller(req, res, req.params.userId);
+    if (!userId) return;
     const { action, data } = req.body;
     
     if (action === 'clear') {
-      contextManager.clearContext(userId);
+      await contextManager.clearContext(userId);
       res.json({ success: true, message: 'Context cleared' });
     } else if (action === 'update') {
-      const updatedContext = contextManager.updateContext(userId, data);
+      const updatedContext = await contextManager.updateContextFromClient(userId, data);
       res.json({ success: true, context: updatedContext });
     } else if (action === 'get') {
-      const context = contextManager.getUserContext(userId);
+      const context = await contextManager.getUserContext(userId);
       res.json({ success: true, context });
     } else {
       res.status(400).json({ error: 'Invalid action' });
     }
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    res.status(error.code === 'INVALID_CONTEXT_UPDATE' ? 400 : 500).json({ error: error.message });
   }
 });
 
 // 4. Direct tool execution endpoint
 app.post('/api/v1/tools/:toolName', async (req, res) => {
+  let request = null;
+  
   try {
     const { toolName } = req.params;
-    const { userId, parameters } = req.body;
+    const userId = authenticateCaller(req, res, req.body.userId);
+    if (!userId) return;
+    const { parameters } = req.body;
     
-    if (!userId || !parameters) {
-      return res.status(400).json({ error: 'Missing userId or parameters' });
+    if (!parameters) {
+      return res.status(400).json({ error: 'Missing parameters' });
     }
     
-    const userContext = contextManager.getUserContext(userId);
-    const result = await toolRegistry.executeTool(toolName, parameters, userContext);
+    request = trackRequest(req, res, userId);
+    if (!request) return;
+    
+    const userContext = attachIdentity(await contextManager.getUserContext(userId), userId);
+    const result = await toolRegistry.executeTool(toolName, parameters, userContext, { signal: request.signal });
     
     res.json({
       success: true,
       tool: toolName,
       result
     });
+  } catch (error) {
+    if (error.code === 'REQUEST_CANCELLED') {
+      return cancelledResponse(res, request);
+    }
+    if (error.code === 'INVALID_TOOL_ARGUMENTS') {
+      return res.status(400).json({ error: error.message, details: error.details });
+    }
+    if (error.code === 'TOOL_NOT_ALLOWED' || error.code === 'TOOL_INPUT_REJECTED') {
+      return res.status(403).json({ error: error.message, code: error.code });
+    }
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 5. Schema cache refresh endpoint, for roles the access policy allows it
+app.post('/api/v1/schema/refresh', async (req, res) => {
+  try {
+    const userId = authenticateCaller(req, res, req.body && req.body.userId);
+    if (!userId) return;
+    
+    if (!canRefreshSchema(resolveRole(userId))) {
+      return res.status(403).json({ error: 'Your role may not refresh the schema', code: 'SCHEMA_REFRESH_NOT_ALLOWED' });
+    }
+    
+    const schema = await refreshSchemaCache();
+    res.json({
+      success: true,
+      tables: Object.keys(schema)
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// 6. Prompt templates listing endpoint
+app.get('/api/v1/prompts', (req, res) => {
+  try {
+    res.json({ prompts: listPrompts() });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// 7. Cancel a running chat or tool request by its X-Request-Id
+app.post('/api/v1/requests/:requestId/cancel', (req, res) => {
+  const userId = authenticateCaller(req, res, req.body.userId);
+  if (!userId) return;
+  
+  if (!cancelRequest(req.params.requestId, userId)) {
+    return res.status(404).json({ error: 'No running request with this ID' });
+  }
+  
+  res.json({ success: true, requestId: req.params.requestId });
+});
+
 // Start the server
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
-  console.log(`MCP Server running on port ${PORT}`);
+  console.log(`MCP Server running on port ${PORT} (AUTH_MODE ${authMode()})`);
+  if (authMode() === 'none' && loadAccessPolicy()) {
+    console.warn('AUTH_MODE is none: callers pick their own user ID, so they can pick any role in the access policy');
+  }
   
   // Set up context cleanup timer
   setInterval(() => {
-    contextManager.cleanupExpiredContexts();
+    contextManager.cleanupExpiredContexts().catch(error => {
+      console.error('Error cleaning up expired contexts:', error);
+    });
   }, 15 * 60 * 1000); // Run every 15 minutes
 });
 
@@ -0,0 +1,84 @@
+// File: mcpStdioServer.js - MCP server over stdio
+// MCP clients launch this file as a subprocess and exchange newline-delimited
+// JSON-RPC messages over stdin and stdout.
+const util = require('util');
+
+// stdout carries the protocol, so anything the modules log goes to stderr instead
+const logToStderr = (...args) => process.stderr.write(`${util.format(...args)}\n`);
+console.log = logToStderr;
+console.info = logToStderr;
+console.warn = logToStderr;
+console.debug = logToStderr;
+
+require('dotenv').config();
+
+const readline = require('readline');
+const { ContextManager } = require('./contextManager');
+const { ToolRegistry } = require('./toolRegistry');
+const { attachIdentity } = require('./accessPolicy');
+const { registerSqlTools } = require('./sqlTools');
+const { registerDefaultMiddleware } = require('./toolMiddleware');
+const { loadToolPlugins } = require('./toolPlugins');
+const { McpSession, PARSE_ERROR, errorResponse } = require('./mcpProtocol');
+
+// The user the subprocess acts as; the access policy decides what that user may see
+const MCP_USER_ID = process.env.MCP_USER_ID || 'mcp-stdio';
+
+const contextManager = new ContextManager({
+  expirationTime: 60 * 60 * 1000, // 1 hour
+  maxContextSize: 8192,
+  maxMessageHistory: 50
+});
+
+const toolRegistry = new ToolRegistry();
+registerSqlTools(toolRegistry);
+registerDefaultMiddleware(toolRegistry);
+loadToolPlugins(toolRegistry);
+
+function send(message) {
+  process.stdout.write(`${JSON.stringify(message)}\n`);
+}
+
+const session = new McpSession({
+  toolRegistry,
+  getContext: async () => attachIdentity(await contextManager.getUserContext(MCP_USER_ID), MCP_USER_ID),
+  sendNotification: send
+});
+
+// Requests are answered as they finish, so a slow query doesn't hold up a ping
+const pending = new Set();
+
+const input = readline.createInterface({ input: process.stdin });
+
+input.on('line', (line) => {
+  if (!line.trim()) return;
+
+  let message;
+  try {
+    message = JSON.parse(line);
+  } catch (error) {
+    send(errorResponse(null, PARSE_ERROR, `Parse error: ${error.message}`));
+    return;
+  }
+
+  const handling = session.handleMessage(message)
+    .then(response => {
+      if (response) send(response);
+    })
+    .catch(error => {
+      console.error('Error handling MCP message:', error);
+    })
+    .finally(() => {
+      pending.delete(handling);
+    });
+
+  pending.add(handling);
+});
+
+// The client closed stdin: finish what's in flight, then exit (the database pool would keep us alive)
+input.on('close', async () => {
+  await Promise.all(pending);
+  process.exit(0);
+});
+
+console.error(`MCP stdio server ready (user ${MCP_USER_ID})`);
@@ -0,0 +1,290 @@
+// File: memoryRetrieval.js
+/**
+ * Relevance-based retrieval of memory blocks
+ * Memory blocks are ranked against the current question with BM25, a lexical
+ * score computed in-process over each block's content and metadata, so no
+ * vector database is needed. If an embedding adapter is configured, its
+ * cosine similarity is blended into the score. The best blocks are returned,
+ * at most topK of them and within a token budget.
+ *
+ * An embedding adapter is any object with
+ *   embed(texts) -> Promise<number[][]>
+ * MEMORY_EMBEDDINGS=openai uses the OpenAI-compatible /embeddings endpoint at
+ * OPENAI_BASE_URL, which a local server such as Ollama can provide offline.
+ */
+const axios = require('axios');
+const { getLLMProvider } = require('./llmProvider');
+require('dotenv').config();
+
+const MEMORY_TOP_K = parseInt(process.env.MEMORY_TOP_K, 10) || 5;
+const MEMORY_TOKEN_BUDGET = parseInt(process.env.MEMORY_TOKEN_BUDGET, 10) || 1024;
+// Share of the score that comes from embeddings when they are configured, from 0 to 1
+const configuredEmbeddingWeight = parseFloat(process.env.MEMORY_EMBEDDING_WEIGHT);
+const EMBEDDING_WEIGHT = configuredEmbeddingWeight >= 0 && configuredEmbeddingWeight <= 1
+  ? configuredEmbeddingWeight
+  : 0.5;
+
+// Cosine similarity below which a block counts as unrelated
+const MIN_SIMILARITY = 0.3;
+
+// BM25 parameters: term frequency saturation and document length normalization
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Vectors kept per embedding adapter, so unchanged blocks aren't embedded again
+const EMBEDDING_CACHE_SIZE = 1000;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'do', 'for', 'from', 'has', 'have', 'how',
+  'i', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'show', 'that', 'the', 'their', 'them',
+  'these', 'this', 'those', 'to', 'was', 'we', 'what', 'which', 'who', 'with', 'you'
+]);
+
+/**
+ * Splits text into lowercase search terms
+ * Identifiers such as order_items are split into their words, stop words are
+ * dropped and a plural s is removed, so "orders" matches "order".
+ * @param {string} text The text
+ * @returns {Array<string>} The terms
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(term => term && !STOP_WORDS.has(term))
+    .map(term => (term.length > 3 && term.endsWith('s') && !term.endsWith('ss') ? term.slice(0, -1) : term));
+}
+
+// Searchable text of a block: its content and the values of its metadata
+function blockText(block) {
+  const values = [];
+  const collect = (value) => {
+    if (typeof value === 'string' || typeof value === 'number') {
+      values.push(String(value));
+    } else if (Array.isArray(value)) {
+      value.forEach(collect);
+    } else if (value && typeof value === 'object') {
+      Object.values(value).forEach(collect);
+    }
+  };
+
+  const { timestamp, ...metadata } = block.metadata || {};
+  collect(metadata);
+
+  const content = typeof block.content === 'string' ? block.content : JSON.stringify(block.content);
+  return [content, ...values].join(' ');
+}
+
+// Okapi BM25 over a fixed set of documents
+class BM25Index {
+  /**
+   * @param {Array<string>} documents The texts to search
+   */
+  constructor(documents) {
+    this.documents = documents.map(text => {
+      const frequencies = new Map();
+      const terms = tokenize(text);
+      terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+      return { frequencies, length: terms.length };
+    });
+
+    this.documentFrequency = new Map();
+    for (const { frequencies } of this.documents) {
+      for (const term of frequencies.keys()) {
+        this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+      }
+    }
+
+    const totalLength = this.documents.reduce((total, document) => total + document.length, 0);
+    this.averageLength = this.documents.length > 0 ? totalLength / this.documents.length : 0;
+  }
+
+  /**
+   * Scores every document against a query
+   * @param {string} query The query text
+   * @returns {Array<number>} One score per document, 0 for no shared terms
+   */
+  score(query) {
+    const terms = Array.from(new Set(tokenize(query)));
+    const count = this.documents.length;
+
+    return this.documents.map(({ frequencies, length }) => {
+      let score = 0;
+      for (const term of terms) {
+        const frequency = frequencies.get(term);
+        if (!frequency) continue;
+
+        const documentFrequency = this.documentFrequency.get(term);
+        const idf = Math.log(1 + (count - documentFrequency + 0.5) / (documentFrequency + 0.5));
+        const lengthRatio = this.averageLength > 0 ? length / this.averageLength : 1;
+        score += idf * (frequency * (BM25_K1 + 1)) / (frequency + BM25_K1 * (1 - BM25_B + BM25_B * lengthRatio));
+      }
+      return score;
+    });
+  }
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Embeddings from an OpenAI-compatible /embeddings endpoint (OpenAI, Ollama, llama.cpp, vLLM, ...)
+class OpenAICompatibleEmbeddings {
+  constructor(options = {}) {
+    this.baseUrl = (options.baseUrl || process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1').replace(/\/+$/, '');
+    this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+    this.model = options.model || process.env.MEMORY_EMBEDDINGS_MODEL || 'text-embedding-3-small';
+    this.timeout = options.timeout || parseInt(process.env.LLM_TIMEOUT, 10) || 60 * 1000;
+    this.cache = new Map(); // text -> vector, oldest first
+  }
+
+  async embed(texts) {
+    const missing = Array.from(new Set(texts.filter(text => !this.cache.has(text))));
+
+    if (missing.length > 0) {
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.apiKey) {
+        headers.Authorization = `Bearer ${this.apiKey}`;
+      }
+
+      let response;
+      try {
+        response = await axios.post(`${this.baseUrl}/embeddings`, {
+          model: this.model,
+          input: missing
+        }, { headers, timeout: this.timeout });
+      } catch (error) {
+        const details = error.response?.data?.error?.message || error.message;
+        throw new Error(`Embedding request failed: ${details}`);
+      }
+
+      const data = response.data && Array.isArray(response.data.data) ? response.data.data : [];
+      if (data.length !== missing.length) {
+        throw new Error('Embedding response does not match the request');
+      }
+
+      data.forEach((item, i) => {
+        this.cache.set(missing[typeof item.index === 'number' ? item.index : i], item.embedding);
+      });
+    }
+
+    const vectors = texts.map(text => this.cache.get(text));
+    while (this.cache.size > EMBEDDING_CACHE_SIZE) {
+      this.cache.delete(this.cache.keys().next().value);
+    }
+    return vectors;
+  }
+}
+
+/**
+ * Creates an embedding adapter by name
+ * @param {string} name 'openai', or 'off' for none; defaults to MEMORY_EMBEDDINGS, then off
+ * @param {Object} options Passed to the adapter, e.g. { baseUrl, model }
+ * @returns {Object|null} The adapter, or null when embeddings are off
+ */
+function createEmbeddingAdapter(name = process.env.MEMORY_EMBEDDINGS || 'off', options = {}) {
+  switch (name.toLowerCase()) {
+    case 'off':
+    case '':
+      return null;
+    case 'openai':
+      return new OpenAICompatibleEmbeddings(options);
+    default:
+      throw new Error(`Unknown MEMORY_EMBEDDINGS: ${name} (use openai or off)`);
+  }
+}
+
+let defaultAdapter;
+
+// Get the process-wide embedding adapter configured through the environment, or null
+function getEmbeddingAdapter() {
+  if (defaultAdapter === undefined) {
+    defaultAdapter = createEmbeddingAdapter();
+  }
+  return defaultAdapter;
+}
+
+/**
+ * Picks the memory blocks most relevant to a query
+ * Without a query, the most recent blocks are picked. Blocks that share nothing
+ * with the query aren't picked at all. If the embedding adapter fails, the
+ * lexical score is used alone.
+ * @param {Array} blocks Memory blocks, oldest first
+ * @param {string} query The current question
+ * @param {Object} options
+ * @param {number} options.topK Most blocks returned; defaults to MEMORY_TOP_K
+ * @param {number} options.tokenBudget Most tokens of content returned; defaults to MEMORY_TOKEN_BUDGET
+ * @param {Function} options.countTokens Token count of a block; defaults to the LLM provider's count of its content
+ * @param {Object|null} options.embeddings Embedding adapter; defaults to the one set by MEMORY_EMBEDDINGS
+ * @returns {Promise<Array>} The picked blocks, most relevant first
+ */
+async function retrieveMemories(blocks = [], query = '', options = {}) {
+  const topK = options.topK !== undefined ? options.topK : MEMORY_TOP_K;
+  const tokenBudget = options.tokenBudget !== undefined ? options.tokenBudget : MEMORY_TOKEN_BUDGET;
+  const countTokens = options.countTokens || (block => getLLMProvider().countTokens(blockText(block)));
+  const embeddings = options.embeddings !== undefined ? options.embeddings : getEmbeddingAdapter();
+
+  if (blocks.length === 0 || topK <= 0) {
+    return [];
+  }
+
+  let ranked;
+  if (!query || tokenize(query).length === 0) {
+    ranked = blocks.map((block, i) => ({ block, i, score: 0 })).reverse();
+  } else {
+    const texts = blocks.map(blockText);
+    const lexical = new BM25Index(texts).score(query);
+    const best = Math.max(...lexical);
+    let scores = lexical.map(score => (best > 0 ? score / best : 0));
+
+    if (embeddings) {
+      try {
+        const [queryVector, ...vectors] = await embeddings.embed([query, ...texts]);
+        scores = scores.map((score, i) => {
+          const similarity = cosineSimilarity(queryVector, vectors[i]);
+          return (1 - EMBEDDING_WEIGHT) * score + EMBEDDING_WEIGHT * (similarity >= MIN_SIMILARITY ? similarity : 0);
+        });
+      } catch (error) {
+        console.error('Memory retrieval is using lexical scores only:', error.message);
+      }
+    }
+
+    ranked = blocks
+      .map((block, i) => ({ block, i, score: scores[i] }))
+      .filter(entry => entry.score > 0)
+      // Newer blocks win ties
+      .sort((a, b) => b.score - a.score || b.i - a.i);
+  }
+
+  // Take the best blocks that still fit; a large block doesn't stop smaller ones after it
+  const picked = [];
+  let tokens = 0;
+  for (const { block } of ranked) {
+    if (picked.length >= topK) break;
+
+    const size = countTokens(block);
+    if (tokens + size > tokenBudget) continue;
+
+    picked.push(block);
+    tokens += size;
+  }
+  return picked;
+}
+
+module.exports = {
+  MEMORY_TOP_K,
+  MEMORY_TOKEN_BUDGET,
+  BM25Index,
+  tokenize,
+  createEmbeddingAdapter,
+  getEmbeddingAdapter,
+  retrieveMemories
+};
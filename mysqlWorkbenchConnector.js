@@ -14,8 +14,9 @@ const execFilePromise = util.promisify(execFile);
  * This function can work in two ways:
  * 1. Save the SQL to a script file that can be opened in MySQL Workbench
  * 2. Execute the SQL directly using MySQL Workbench CLI (if available)
+ * options.signal stops a running direct execution
  */
-async function applyToMySQLWorkbench(sqlQuery, scriptName = null) {
+async function applyToMySQLWorkbench(sqlQuery, scriptName = null, options = {}) {
   try {
     const timestamp = new Date().toISOString().replace(/[:.-]/g, '_');
     const fileName = scriptName || `sql_script_${timestamp}.sql`;
@@ -85,7 +86,7 @@ async function applyToMySQLWorkbench(sqlQuery, scriptName = null) {
           dbName,
           '-e',
           `source ${scriptPath}`
-        ]);
+        ], { signal: options.signal });
         
         return {
           method: 'direct_execution',
@@ -94,6 +95,10 @@ async function applyToMySQLWorkbench(sqlQuery, scriptName = null) {
           error: result.stderr
         };
       } catch (execError) {
+        // A cancelled execution isn't a failure to fall back from
+        if (options.signal && options.signal.aborted) {
+          throw execError;
+        }
         console.warn('Direct execution failed:', execError.message);
         // Fall back to just saving the script if execution fails
       }
@@ -1,16 +1,10 @@
 // File: nlToSqlConverter.js
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const { validateNaturalLanguageInput, validateSql, assessSensitiveDataRequest } = require('./securityFilter');
 require('dotenv').config();
-
-// Add debug logging
-const apiKey = process.env.GEMINI_API_KEY;
-if (!apiKey) {
-    throw new Error('GEMINI_API_KEY is not set in environment variables');
-}
-
-// Initialize Gemini API client
-const genAI = new GoogleGenerativeAI(apiKey);
+const { getCachedSchema } = require('./dbConnector');
+const { getLLMProvider } = require('./llmProvider');
+const { filterSchemaForRole } = require('./accessPolicy');
+const { formatReferencesForPrompt } = require('./coreference');
 
 // Function to process natural language and convert to SQL
 async function processNaturalLanguage(text, userContext = {}) {
@@ -37,25 +31,16 @@ async function processNaturalLanguage(text, userContext = {}) {
       console.warn(`Security warning for query: ${text} - ${inputValidation.warning}`);
     }
 
-    // Create a prompt that includes database schema information
+    // Create a prompt that includes the live database schema,
+    // limited to the tables and columns the caller may read
+    const schema = await getCachedSchema();
+    const visibleSchema = userContext.accessRole !== undefined ? filterSchemaForRole(schema, userContext.accessRole) : schema;
+    
     const prompt = `
 You are an expert SQL translator that converts natural language queries into MySQL SQL statements.
 You have access to a database with the following schema:
 
-Table: users
-Columns: id (int, primary key, auto_increment), name (varchar(255)), email (varchar(255)), created_at (datetime)
-
-Table: products
-Columns: id (int, primary key, auto_increment), name (varchar(255)), price (decimal(10,2)), category_id (int, foreign key)
-
-Table: categories
-Columns: id (int, primary key, auto_increment), name (varchar(255))
-
-Table: orders
-Columns: id (int, primary key, auto_increment), user_id (int, foreign key), created_at (datetime), total (decimal(10,2))
-
-Table: order_items
-Columns: id (int, primary key, auto_increment), order_id (int, foreign key), product_id (int, foreign key), quantity (int), price (decimal(10,2))
+${formatSchemaForPrompt(visibleSchema)}
 
 SECURITY REQUIREMENTS:
 1. ONLY generate SELECT queries - NEVER generate INSERT, UPDATE, DELETE, DROP, CREATE, ALTER or any other data modification or schema modification queries.
@@ -83,109 +68,238 @@ Consider the conversation context if provided.
     `;
 
     // Include context from previous interactions if available
-    let userInput = text;
+    const contextSections = [];
+    
+    // Remembered notes that match the question
+    if (userContext.relevantMemory && userContext.relevantMemory.length > 0) {
+      contextSections.push(`Relevant notes:\n${userContext.relevantMemory.map(note => `- ${note}`).join('\n')}`);
+    }
+    
+    // Earlier turns that no longer fit in the history survive as a running summary
+    if (userContext.conversationSummary) {
+      contextSections.push(`Earlier in the conversation: ${userContext.conversationSummary}`);
+    }
     
     if (userContext.lastQuery) {
-      userInput = `
-Previous query: ${userContext.lastQuery}
+      contextSections.push(`Previous query: ${userContext.lastQuery}
 Previous SQL: ${userContext.lastSql}
-Previous result summary: ${JSON.stringify(userContext.lastResult).substring(0, 200)}...
+Previous result summary: ${JSON.stringify(userContext.lastResult).substring(0, 200)}...`);
+    }
+    
+    // "those customers", "the second one" and the like, already turned into SQL
+    if (userContext.resolvedReferences && userContext.resolvedReferences.length > 0) {
+      contextSections.push(formatReferencesForPrompt(userContext.resolvedReferences));
+    }
+    
+    const userInput = contextSections.length > 0
+      ? `${contextSections.join('\n\n')}\n\nCurrent query: ${text}`
+      : text;
 
-Current query: ${text}
-      `;
+    // Send the prompt and the user query to the configured LLM provider
+    // Low temperature for more deterministic outputs
+    const responseText = await getLLMProvider().generate({
+      system: prompt,
+      messages: [{ role: 'user', content: userInput }],
+      temperature: 0.1
+    });
+    
+    const parsedResult = parseModelResponse(responseText);
+    
+    // STEP 2 & 3: Validate the generated SQL and check for sensitive data access
+    const blocked = checkGeneratedSql(text, parsedResult, userContext, schema);
+    if (blocked) {
+      return blocked;
     }
+    
+    return parsedResult;
+  } catch (error) {
+    console.error('Error in NL to SQL conversion:', error);
+    throw new Error(`Failed to convert natural language to SQL: ${error.message}`);
+  }
+}
 
-    // Get the Gemini Pro model
-    const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash" });
+// Extract the JSON object from a model response
+// Models may wrap the JSON in markdown code blocks, so we need to extract it
+function parseModelResponse(responseText) {
+  const jsonRegex = /{[\s\S]*}/;
+  const match = responseText.match(jsonRegex);
+  
+  if (!match) {
+    throw new Error("Failed to extract JSON from the model response");
+  }
+  
+  try {
+    return JSON.parse(match[0]);
+  } catch (e) {
+    // If parsing fails, try to clean up the JSON string
+    const cleanedJson = match[0].replace(/\\n/g, " ").replace(/\\"/g, '"');
+    return JSON.parse(cleanedJson);
+  }
+}
 
-    // Configure generation options - lower temperature for more deterministic outputs
-    const generationConfig = {
-      temperature: 0.1,  // Reduced from 0.2 for more predictable outputs
-      topP: 0.8,
-      topK: 40
+// Run the security checks on generated SQL
+// Returns a SECURITY_BLOCKED result, or null if the SQL may be executed
+function checkGeneratedSql(text, parsedResult, userContext = {}, schema = null) {
+  if (!parsedResult.sqlQuery) {
+    return null;
+  }
+  
+  const validationOptions = userContext.accessRole !== undefined ? { role: userContext.accessRole, schema } : {};
+  const sqlValidation = validateSql(parsedResult.sqlQuery, validationOptions);
+  
+  if (!sqlValidation.isValid) {
+    return {
+      sqlQuery: null,
+      entities: parsedResult.entities || [],
+      intent: 'SECURITY_BLOCKED',
+      error: sqlValidation.reason,
+      securityAlert: {
+        type: sqlValidation.policyViolation ? 'access_policy' : 'sql_validation',
+        severity: sqlValidation.severity,
+        details: sqlValidation.reason,
+        node: sqlValidation.node
+      }
     };
+  }
+  
+  // Check if the query is trying to access sensitive data
+  const sensitiveDataAssessment = assessSensitiveDataRequest(text, parsedResult.sqlQuery);
+  
+  if (sensitiveDataAssessment.isSensitive && !sensitiveDataAssessment.isLegitimate) {
+    return {
+      sqlQuery: null,
+      entities: parsedResult.entities || [],
+      intent: 'SECURITY_BLOCKED',
+      error: sensitiveDataAssessment.reason,
+      securityAlert: {
+        type: 'sensitive_data_access',
+        severity: 'high',
+        details: sensitiveDataAssessment.reason
+      }
+    };
+  }
+  
+  return null;
+}
 
-    // Create the chat session
-    const chat = model.startChat({
-      generationConfig,
-      history: [
-        {
-          role: "user",
-          parts: [{ text: prompt }]
-        },
-        {
-          role: "model",
-          parts: [{ text: "I understand. I will convert natural language queries to secure SQL SELECT statements based on the provided schema." }]
-        }
-      ]
+// Ask the model to fix SQL that failed to execute, given the database error
+async function repairSqlQuery(text, failedSql, errorMessage, userContext = {}) {
+  try {
+    const schema = await getCachedSchema();
+    const visibleSchema = userContext.accessRole !== undefined ? filterSchemaForRole(schema, userContext.accessRole) : schema;
+    
+    const prompt = `
+You are an expert SQL translator that fixes MySQL SELECT queries which failed to execute.
+The query was generated from a natural language question against a database with the following schema:
+
+${formatSchemaForPrompt(selectRelevantSchema(visibleSchema, failedSql))}
+
+SECURITY REQUIREMENTS:
+1. ONLY generate SELECT queries - NEVER generate INSERT, UPDATE, DELETE, DROP, CREATE, ALTER or any other data modification or schema modification queries.
+2. Do not use multiple SQL statements separated by semicolons.
+3. Do not reference tables or columns that don't exist in the schema.
+4. Never generate queries that would directly retrieve sensitive data like passwords.
+
+Your task is to correct the query so that it answers the question and no longer raises the error.
+
+Respond with a JSON object containing:
+{
+  "sqlQuery": "THE CORRECTED SQL QUERY",
+  "entities": ["entity1", "entity2", ...],
+  "intent": "QUERY_INTENT"
+}
+    `;
+    
+    const userInput = `
+Question: ${text}
+Failed SQL: ${failedSql}
+MySQL error: ${errorMessage}
+    `;
+    
+    const responseText = await getLLMProvider().generate({
+      system: prompt,
+      messages: [{ role: 'user', content: userInput }],
+      temperature: 0.1
     });
+    
+    const parsedResult = parseModelResponse(responseText);
+    
+    // A repaired query gets exactly the same checks as a first attempt
+    const blocked = checkGeneratedSql(text, parsedResult, userContext, schema);
+    if (blocked) {
+      return blocked;
+    }
+    
+    return parsedResult;
+  } catch (error) {
+    console.error('Error in SQL repair:', error);
+    throw new Error(`Failed to repair SQL query: ${error.message}`);
+  }
+}
 
-    // Send the user query to the chat
-    const result = await chat.sendMessage(userInput);
-    const response = await result.response;
-    const responseText = response.text();
-    
-    // Extract the JSON object from the response
-    // Gemini may wrap the JSON in markdown code blocks, so we need to extract it
-    const jsonRegex = /{[\s\S]*}/;
-    const match = responseText.match(jsonRegex);
-    
-    let parsedResult;
-    if (match) {
-      try {
-        parsedResult = JSON.parse(match[0]);
-      } catch (e) {
-        // If parsing fails, try to clean up the JSON string
-        const cleanedJson = match[0].replace(/\\n/g, " ").replace(/\\"/g, '"');
-        parsedResult = JSON.parse(cleanedJson);
+// Narrow the schema to the tables a query mentions, plus the tables they reference
+// Falls back to the full schema when no table can be recognized
+function selectRelevantSchema(schema, sql) {
+  const mentioned = Object.keys(schema).filter(tableName => {
+    const escaped = tableName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`\\b${escaped}\\b`, 'i').test(sql);
+  });
+  
+  if (mentioned.length === 0) {
+    return schema;
+  }
+  
+  const relevant = {};
+  for (const tableName of mentioned) {
+    relevant[tableName] = schema[tableName];
+    for (const fk of schema[tableName].foreignKeys) {
+      if (schema[fk.referencedTable]) {
+        relevant[fk.referencedTable] = schema[fk.referencedTable];
       }
-    } else {
-      throw new Error("Failed to extract JSON from the model response");
+    }
+  }
+  
+  return relevant;
+}
+
+// Describe the schema in the compact "Table / Columns" form the model is prompted with
+function formatSchemaForPrompt(schema) {
+  const tables = Object.values(schema || {});
+  
+  if (tables.length === 0) {
+    return 'No tables found in the database.';
+  }
+  
+  return tables.map(table => {
+    const foreignKeys = {};
+    for (const fk of table.foreignKeys) {
+      foreignKeys[fk.column] = `${fk.referencedTable}.${fk.referencedColumn}`;
     }
     
-    // STEP 2: Validate the generated SQL for security issues
-    if (parsedResult.sqlQuery) {
-      const sqlValidation = validateSql(parsedResult.sqlQuery);
+    const columns = table.columns.map(column => {
+      const attributes = [column.type];
       
-      if (!sqlValidation.isValid) {
-        return {
-          sqlQuery: null,
-          entities: parsedResult.entities || [],
-          intent: 'SECURITY_BLOCKED',
-          error: sqlValidation.reason,
-          securityAlert: {
-            type: 'sql_validation',
-            severity: sqlValidation.severity,
-            details: sqlValidation.reason
-          }
-        };
-      }
-      
-      // STEP 3: Check if the query is trying to access sensitive data
-      const sensitiveDataAssessment = assessSensitiveDataRequest(text, parsedResult.sqlQuery);
+      if (column.key === 'PRI') attributes.push('primary key');
+      if (column.key === 'UNI') attributes.push('unique');
+      if (foreignKeys[column.name]) attributes.push(`foreign key -> ${foreignKeys[column.name]}`);
+      if (column.extra) attributes.push(column.extra);
+      if (!column.nullable) attributes.push('not null');
       
-      if (sensitiveDataAssessment.isSensitive && !sensitiveDataAssessment.isLegitimate) {
-        return {
-          sqlQuery: null,
-          entities: parsedResult.entities || [],
-          intent: 'SECURITY_BLOCKED',
-          error: sensitiveDataAssessment.reason,
-          securityAlert: {
-            type: 'sensitive_data_access',
-            severity: 'high',
-            details: sensitiveDataAssessment.reason
-          }
-        };
-      }
+      return `${column.name} (${attributes.join(', ')})`;
+    });
+    
+    let description = `Table: ${table.name}\nColumns: ${columns.join(', ')}`;
+    if (table.comment) {
+      description += `\nDescription: ${table.comment}`;
     }
     
-    return parsedResult;
-  } catch (error) {
-    console.error('Error in NL to SQL conversion:', error);
-    throw new Error(`Failed to convert natural language to SQL: ${error.message}`);
-  }
+    return description;
+  }).join('\n\n');
 }
 
 module.exports = {
-  processNaturalLanguage
+  processNaturalLanguage,
+  repairSqlQuery,
+  formatSchemaForPrompt,
+  parseModelResponse
 };
\ No newline at end of file
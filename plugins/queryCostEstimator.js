@@ -0,0 +1,44 @@
+// File: plugins/queryCostEstimator.js
+/**
+ * Example tool plugin: estimates what a query would cost without running it
+ * Uses the same EXPLAIN-based checks as the cost guard in sql_executor.
+ */
+const { getCachedSchema } = require('../dbConnector');
+const { validateSql } = require('../securityFilter');
+const { applyRowFilters } = require('../rowSecurity');
+const { assessQueryCost } = require('../costGuard');
+
+module.exports = {
+  version: '1.0.0',
+  tools: [{
+    name: 'query_cost_estimator',
+    description: 'Estimates the rows a SELECT query would examine and whether the cost guard would let it run',
+    parameters: {
+      type: 'object',
+      properties: {
+        sql: {
+          type: 'string',
+          description: 'The SQL query to estimate',
+          format: 'sql',
+          minLength: 1
+        }
+      },
+      required: ['sql'],
+      additionalProperties: false
+    },
+    execute: async (params, context, execution) => {
+      const validation = validateSql(params.sql, {
+        role: context.accessRole,
+        schema: await getCachedSchema()
+      });
+
+      if (!validation.isValid) {
+        throw new Error(`SQL rejected: ${validation.reason}`);
+      }
+
+      // Estimate the query sql_executor would actually run
+      const { sql } = applyRowFilters(params.sql, context.identity);
+      return await assessQueryCost(sql, { signal: execution.signal });
+    }
+  }]
+};
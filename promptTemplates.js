@@ -0,0 +1,171 @@
+// File: promptTemplates.js
+/**
+ * Reusable, parameterized prompt templates for MCP server
+ * Each JSON file in the templates directory defines one prompt: its arguments
+ * and the message sequence it expands into. Placeholders like {{n}} in the
+ * messages are replaced with argument values.
+ *
+ * Example template:
+ * {
+ *   "name": "top_n_by_revenue",
+ *   "title": "Top N by revenue",
+ *   "description": "Ranks customers, products or categories by revenue",
+ *   "arguments": [
+ *     { "name": "n", "description": "How many to list", "default": "10" },
+ *     { "name": "entity", "description": "What to rank", "required": true }
+ *   ],
+ *   "messages": [
+ *     { "role": "user", "content": "List the top {{n}} {{entity}} by total revenue." }
+ *   ]
+ * }
+ */
+const fs = require('fs');
+const path = require('path');
+
+const PROMPT_TEMPLATES_DIR = process.env.PROMPT_TEMPLATES_DIR || path.join(__dirname, 'prompts');
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+const MESSAGE_ROLES = ['user', 'assistant'];
+
+let templates = null; // Map of name -> template once loaded
+
+// Check a template file's shape; placeholders must refer to declared arguments
+function validateTemplate(template) {
+  if (!template || typeof template.name !== 'string' || !template.name) {
+    throw new Error('Template must have a "name"');
+  }
+
+  if (!Array.isArray(template.messages) || template.messages.length === 0) {
+    throw new Error('Template must have at least one message');
+  }
+
+  const args = template.arguments || [];
+  if (!Array.isArray(args) || args.some(arg => !arg || typeof arg.name !== 'string')) {
+    throw new Error('Template "arguments" must be a list of { name, ... }');
+  }
+
+  const declared = new Set(args.map(arg => arg.name));
+
+  for (const message of template.messages) {
+    if (!MESSAGE_ROLES.includes(message.role) || typeof message.content !== 'string') {
+      throw new Error('Each message needs a role (user or assistant) and string content');
+    }
+
+    for (const [, name] of message.content.matchAll(PLACEHOLDER)) {
+      if (!declared.has(name)) {
+        throw new Error(`Placeholder {{${name}}} is not a declared argument`);
+      }
+    }
+  }
+}
+
+/**
+ * Loads the prompt templates directory
+ * Broken templates are logged and skipped, so one bad file doesn't hide the others.
+ * @param {boolean} reload Re-read the directory even if it was already loaded
+ * @returns {Map} Templates by name
+ */
+function loadPromptTemplates(reload = false) {
+  if (templates && !reload) {
+    return templates;
+  }
+
+  templates = new Map();
+
+  if (!fs.existsSync(PROMPT_TEMPLATES_DIR)) {
+    return templates;
+  }
+
+  const files = fs.readdirSync(PROMPT_TEMPLATES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .sort();
+
+  for (const file of files) {
+    try {
+      const template = JSON.parse(fs.readFileSync(path.join(PROMPT_TEMPLATES_DIR, file), 'utf8'));
+      validateTemplate(template);
+
+      if (templates.has(template.name)) {
+        throw new Error(`Duplicate prompt name ${template.name}`);
+      }
+      templates.set(template.name, template);
+    } catch (error) {
+      console.error(`Skipping prompt template ${file}: ${error.message}`);
+    }
+  }
+
+  return templates;
+}
+
+/**
+ * Lists the available prompts
+ * @returns {Array} { name, title, description, arguments } for each prompt
+ */
+function listPrompts() {
+  return Array.from(loadPromptTemplates().values()).map(template => ({
+    name: template.name,
+    title: template.title || template.name,
+    description: template.description || '',
+    arguments: (template.arguments || []).map(arg => ({
+      name: arg.name,
+      description: arg.description || '',
+      required: arg.required === true
+    }))
+  }));
+}
+
+/**
+ * Expands a prompt into its message sequence
+ * Throws an error with code PROMPT_NOT_FOUND or INVALID_PROMPT_ARGUMENTS.
+ * @param {string} name The prompt name
+ * @param {Object} args Argument values by name
+ * @returns {Object} { description, messages } where messages are { role, content }
+ */
+function expandPrompt(name, args = {}) {
+  const template = loadPromptTemplates().get(name);
+  if (!template) {
+    const error = new Error(`Unknown prompt: ${name}`);
+    error.code = 'PROMPT_NOT_FOUND';
+    throw error;
+  }
+
+  const values = {};
+  const missing = [];
+
+  for (const arg of template.arguments || []) {
+    const value = args[arg.name];
+    if (value !== undefined && value !== null && String(value).trim() !== '') {
+      values[arg.name] = String(value).trim();
+    } else if (arg.default !== undefined) {
+      values[arg.name] = String(arg.default);
+    } else if (arg.required) {
+      missing.push(arg.name);
+    } else {
+      values[arg.name] = '';
+    }
+  }
+
+  if (missing.length > 0) {
+    const error = new Error(`Prompt ${name} is missing required arguments: ${missing.join(', ')}`);
+    error.code = 'INVALID_PROMPT_ARGUMENTS';
+    throw error;
+  }
+
+  return {
+    description: template.description || '',
+    messages: template.messages.map(message => ({
+      role: message.role,
+      // Dropping an empty optional argument can leave doubled spaces behind
+      content: message.content
+        .replace(PLACEHOLDER, (match, argName) => values[argName])
+        .replace(/ {2,}/g, ' ')
+        .trim()
+    }))
+  };
+}
+
+module.exports = {
+  loadPromptTemplates,
+  listPrompts,
+  expandPrompt
+};
@@ -1,10 +1,51 @@
 // File: requestProcessor.js
-const { processNaturalLanguage } = require('./nlToSqlConverter');
-const { executeQuery } = require('./dbConnector');
-const { isSchemaQuery } = require('./securityFilter');
+const { processNaturalLanguage, repairSqlQuery } = require('./nlToSqlConverter');
+const { executeQuery, getCachedSchema } = require('./dbConnector');
+const { isSchemaQuery, validateNaturalLanguageInput, validateSql } = require('./securityFilter');
+const { canReadTable, canReadColumn } = require('./accessPolicy');
+const { applyRowFilters } = require('./rowSecurity');
+const { maskResults } = require('./resultMasking');
+const { executeLimitedQuery } = require('./resultLimits');
+const { assessQueryCost } = require('./costGuard');
+const { runAgent } = require('./agentLoop');
+const { throwIfCancelled } = require('./requestTracker');
+const { findSummaryBlock, isSummaryBlock } = require('./conversationSummary');
+const { retrieveMemories } = require('./memoryRetrieval');
+const {
+  captureResultSet,
+  rememberResultSet,
+  resolveReferences,
+  formatReferencesForPrompt,
+  referenceUsed,
+  describeReferences
+} = require('./coreference');
+const crypto = require('crypto');
 
-async function processRequest(messages, context, toolRegistry) {
+// Number of times the model may rewrite SQL that failed to execute; 0 turns repairs off
+const configuredRepairAttempts = parseInt(process.env.SQL_REPAIR_ATTEMPTS, 10);
+const MAX_REPAIR_ATTEMPTS = Number.isNaN(configuredRepairAttempts) || configuredRepairAttempts < 0
+  ? 2
+  : configuredRepairAttempts;
+
+// Queries the cost guard held back, by confirmation token: { userId, question, sql, entities, intent, expiresAt }
+// They live here rather than in the user's context, which clients can write to
+const pendingQueries = new Map();
+// How long a held-back query can still be confirmed
+const PENDING_QUERY_TTL = 10 * 60 * 1000;
+
+// options.maxRows overrides the default result row limit, up to the admin-set ceiling
+// options.confirmToken runs an expensive query the cost guard held back for confirmation
+// options.agent lets the model answer with its own sequence of tool calls (agent mode)
+// options.onProgress(stage, data) is told about each stage as it happens, for streaming:
+//   sql_generated, validation, execution_started and results; agent_step and agent_tool_result in agent mode;
+//   tool_progress whenever a tool reports progress
+// options.signal cancels the request: the running query is killed and nothing further runs
+async function processRequest(messages, context, toolRegistry, options = {}) {
   try {
+    if (options.confirmToken) {
+      return await runConfirmedQuery(context, options);
+    }
+    
     const lastMessage = messages[messages.length - 1];
     const userMessage = lastMessage.content;
     
@@ -15,23 +56,12 @@ async function processRequest(messages, context, toolRegistry) {
         lastMessage.tool_calls.map(async (toolCall) => {
           const { name, parameters } = toolCall;
           
-          // Perform security checks based on tool type
-          if (name === 'sql_generator' || name === 'sql_executor') {
-            // Additional security verification for direct tool calls
-            const isSafe = verifyToolCallSafety(name, parameters);
-            
-            if (!isSafe.valid) {
-              return {
-                tool_call_id: toolCall.id,
-                name,
-                error: isSafe.reason,
-                success: false
-              };
-            }
-          }
-          
+          // The registry's middleware applies the security checks to every tool
           try {
-            const result = await toolRegistry.executeTool(name, parameters, context);
+            const result = await toolRegistry.executeTool(name, parameters, context, {
+              signal: options.signal,
+              onProgress: progress => reportProgress(options, 'tool_progress', { tool: name, tool_call_id: toolCall.id, ...progress })
+            });
             return {
               tool_call_id: toolCall.id,
               name,
@@ -43,6 +73,7 @@ async function processRequest(messages, context, toolRegistry) {
               tool_call_id: toolCall.id,
               name,
               error: error.message,
+              details: error.details,
               success: false
             };
           }
@@ -56,13 +87,21 @@ async function processRequest(messages, context, toolRegistry) {
       };
     }
     
+    if (options.agent) {
+      return await runAgentRequest(userMessage, context, toolRegistry, options);
+    }
+    
     // Special handling for schema-related queries
     if (isSchemaQuery(userMessage)) {
       // Generate appropriate schema query
       const schemaQuery = generateSchemaQuery(userMessage);
       
       try {
-        const schemaResults = await executeQuery(schemaQuery);
+        const schemaResults = filterSchemaResultsForRole(
+          await executeQuery(schemaQuery),
+          context.accessRole,
+          extractSchemaTableName(userMessage)
+        );
         
         return {
           role: 'assistant',
@@ -84,15 +123,24 @@ async function processRequest(messages, context, toolRegistry) {
       }
     }
     
-    // Step 2: Process the natural language to SQL
+    // Step 2: Process the natural language to SQL, with references to earlier results
+    // ("those customers", "the second one") resolved into SQL
+    const references = resolveReferences(userMessage, context.resultSets);
     const nlToSqlResult = await processNaturalLanguage(userMessage, {
       lastQuery: context.lastQuery,
       lastSql: context.lastSql,
-      lastResult: context.lastResult
+      lastResult: context.lastResult,
+      conversationSummary: conversationSummary(context),
+      relevantMemory: await recallMemory(context, userMessage),
+      resolvedReferences: references,
+      accessRole: context.accessRole
     });
+    throwIfCancelled(options.signal);
     
     // Check if security blocked the request
     if (nlToSqlResult.error && nlToSqlResult.intent === 'SECURITY_BLOCKED') {
+      reportValidation(options, nlToSqlResult.securityAlert);
+      
       // Log security alert
       console.warn(`Security alert: ${nlToSqlResult.securityAlert?.type} - ${nlToSqlResult.error}`);
       
@@ -106,56 +154,448 @@ async function processRequest(messages, context, toolRegistry) {
       };
     }
     
-    // Step 3: Execute the SQL and prepare response
-    let sqlResults = null;
-    try {
-      if (nlToSqlResult.sqlQuery) {
-        sqlResults = await executeQuery(nlToSqlResult.sqlQuery);
-      } else {
-        throw new Error("No SQL query was generated");
+    if (nlToSqlResult.sqlQuery) {
+      reportProgress(options, 'sql_generated', {
+        sql_query: nlToSqlResult.sqlQuery,
+        entities: nlToSqlResult.entities,
+        intent: nlToSqlResult.intent
+      });
+      reportValidation(options, null);
+    }
+    
+    // Steps 3-5: Execute the SQL and prepare the response
+    return await runGeneratedSql(userMessage, nlToSqlResult, context, { ...options, references });
+  } catch (error) {
+    console.error('Request processing error:', error);
+    return {
+      role: 'assistant',
+      content: `Error processing your request: ${error.message}`,
+      metadata: {
+        error: error.message
       }
-    } catch (error) {
-      return {
-        role: 'assistant',
-        content: `I couldn't execute the SQL query: ${error.message}. The generated query might have issues.`,
-        metadata: {
-          sql_query: nlToSqlResult.sqlQuery,
-          entities: nlToSqlResult.entities,
-          intent: nlToSqlResult.intent,
-          error: error.message
-        }
-      };
+    };
+  }
+}
+
+// Execute generated SQL and build the chat response for it
+async function runGeneratedSql(userMessage, nlToSqlResult, context, options = {}) {
+  // Step 3: Execute the SQL, letting the model repair it if the database rejects it
+  if (!nlToSqlResult.sqlQuery) {
+    return {
+      role: 'assistant',
+      content: `I couldn't execute the SQL query: No SQL query was generated. The generated query might have issues.`,
+      metadata: {
+        sql_query: nlToSqlResult.sqlQuery,
+        entities: nlToSqlResult.entities,
+        intent: nlToSqlResult.intent,
+        error: 'No SQL query was generated'
+      }
+    };
+  }
+  
+  const execution = await executeWithRepair(userMessage, nlToSqlResult, context, options);
+  
+  if (execution.securityAlert) {
+    console.warn(`Security alert during SQL execution: ${execution.securityAlert.type} - ${execution.error}`);
+    
+    return {
+      role: 'assistant',
+      content: securityBlockResponseMessage(execution.securityAlert),
+      metadata: {
+        security_alert: execution.securityAlert,
+        attempts: execution.attempts
+      }
+    };
+  }
+  
+  if (execution.costAssessment) {
+    return costGuardResponse(execution, nlToSqlResult, userMessage, context);
+  }
+  
+  if (execution.error) {
+    return {
+      role: 'assistant',
+      content: `I couldn't execute the SQL query: ${execution.error}. The generated query might have issues.`,
+      metadata: {
+        sql_query: execution.sqlQuery,
+        entities: execution.entities,
+        intent: nlToSqlResult.intent,
+        error: execution.error,
+        error_code: execution.errorCode,
+        attempts: execution.attempts
+      }
+    };
+  }
+  
+  // Mask PII columns before results leave the server
+  const sqlResults = maskResults(execution.results, context.accessRole, {
+    sql: execution.sqlQuery,
+    schema: await getCachedSchema()
+  });
+  reportProgress(options, 'results', { results: sqlResults });
+  
+  // Step 4: Update context with this interaction
+  context.lastQuery = userMessage;
+  context.lastSql = execution.sqlQuery;
+  context.lastResult = {
+    rowCount: sqlResults.rowCount,
+    summary: `Returned ${sqlResults.rowCount} rows`
+  };
+  await rememberResult(context, userMessage, execution.sqlQuery, sqlResults);
+  
+  // Step 5: Prepare response, saying what any references were taken to mean
+  const references = checkReferences(options.references, execution.sqlQuery);
+  const resolvedText = describeReferences(references);
+  return {
+    role: 'assistant',
+    content: `${resolvedText ? `${resolvedText}\n\n` : ''}I converted your question to SQL and executed it: \n\n${execution.sqlQuery}\n\n${describeRowCount(sqlResults)}`,
+    metadata: {
+      sql_query: execution.sqlQuery,
+      entities: execution.entities,
+      intent: nlToSqlResult.intent,
+      results: sqlResults,
+      truncated: sqlResults.truncated,
+      total_row_count: sqlResults.totalRowCount,
+      attempts: execution.attempts,
+      row_filters: execution.appliedFilters,
+      references
     }
+  };
+}
+
+// Answer a question in agent mode and build the chat response, with the trace of tool calls
+async function runAgentRequest(userMessage, context, toolRegistry, options) {
+  const inputValidation = validateNaturalLanguageInput(userMessage);
+  if (!inputValidation.isValid) {
+    const securityAlert = {
+      type: 'input_validation',
+      severity: inputValidation.severity,
+      details: inputValidation.reason
+    };
+    reportValidation(options, securityAlert);
+    
+    return {
+      role: 'assistant',
+      content: securityBlockResponseMessage(securityAlert),
+      metadata: {
+        security_alert: securityAlert
+      }
+    };
+  }
+  
+  // Carry the previous question and the conversation summary over, as the single-step path does
+  let question = context.lastQuery
+    ? `Previous question: ${context.lastQuery}\nPrevious SQL: ${context.lastSql}\n\nCurrent question: ${userMessage}`
+    : userMessage;
+  const summary = conversationSummary(context);
+  if (summary) {
+    question = `Earlier in the conversation: ${summary}\n\n${question}`;
+  }
+  const memory = await recallMemory(context, userMessage);
+  if (memory.length > 0) {
+    question = `Relevant notes:\n${memory.map(note => `- ${note}`).join('\n')}\n\n${question}`;
+  }
+  const references = resolveReferences(userMessage, context.resultSets);
+  if (references.length > 0) {
+    question = `${question}\n\n${formatReferencesForPrompt(references)}`;
+  }
+  
+  const outcome = await runAgent(question, context, toolRegistry, {
+    signal: options.signal,
+    onProgress: (stage, data) => reportProgress(options, stage, data)
+  });
+  
+  const metadata = {
+    intent: 'AGENT',
+    agent_trace: outcome.trace,
+    agent_stop_reason: outcome.stopReason
+  };
+  
+  // The last query the agent ran is the result of the request
+  if (outcome.lastQuery) {
+    const results = outcome.lastQuery.results;
+    reportProgress(options, 'results', { results });
+    
+    metadata.sql_query = outcome.lastQuery.sql;
+    metadata.results = results;
+    metadata.truncated = results.truncated;
+    metadata.total_row_count = results.totalRowCount;
     
-    // Step 4: Update context with this interaction
     context.lastQuery = userMessage;
-    context.lastSql = nlToSqlResult.sqlQuery;
+    context.lastSql = outcome.lastQuery.sql;
     context.lastResult = {
-      rowCount: sqlResults.rowCount,
-      summary: `Returned ${sqlResults.rowCount} rows`
+      rowCount: results.rowCount,
+      summary: `Returned ${results.rowCount} rows`
+    };
+    await rememberResult(context, userMessage, outcome.lastQuery.sql, results);
+  }
+  
+  metadata.references = checkReferences(references, metadata.sql_query);
+  const resolvedText = describeReferences(metadata.references);
+  const answer = outcome.answer !== null
+    ? outcome.answer
+    : "I couldn't finish answering within the step budget. The steps I took are listed in the trace.";
+  
+  return {
+    role: 'assistant',
+    content: resolvedText ? `${resolvedText}\n\n${answer}` : answer,
+    metadata
+  };
+}
+
+// Run a query the cost guard held back, after the caller confirmed it
+async function runConfirmedQuery(context, options) {
+  const pending = takePendingQuery(options.confirmToken, context.identity && context.identity.userId);
+  
+  if (!pending) {
+    return {
+      role: 'assistant',
+      content: 'There is no pending query matching this confirmation token. Please ask your question again.',
+      metadata: {
+        error: 'Unknown confirmation token'
+      }
+    };
+  }
+  
+  // Validate the SQL again: the caller's role or the policy may have changed since it was held back
+  const sqlValidation = validateSql(pending.sql, { role: context.accessRole, schema: await getCachedSchema() });
+  if (!sqlValidation.isValid) {
+    const securityAlert = {
+      type: sqlValidation.policyViolation ? 'access_policy' : 'sql_validation',
+      severity: sqlValidation.severity,
+      details: sqlValidation.reason,
+      node: sqlValidation.node
     };
+    reportValidation(options, securityAlert);
+    console.warn(`Security alert on confirmed query: ${securityAlert.type} - ${sqlValidation.reason}`);
     
-    // Step 5: Prepare response
     return {
       role: 'assistant',
-      content: `I converted your question to SQL and executed it: \n\n${nlToSqlResult.sqlQuery}\n\nThe query returned ${sqlResults.rowCount} rows.`,
+      content: securityBlockResponseMessage(securityAlert),
       metadata: {
-        sql_query: nlToSqlResult.sqlQuery,
-        entities: nlToSqlResult.entities,
-        intent: nlToSqlResult.intent,
-        results: sqlResults
+        security_alert: securityAlert
       }
     };
-  } catch (error) {
-    console.error('Request processing error:', error);
+  }
+  
+  reportProgress(options, 'sql_generated', {
+    sql_query: pending.sql,
+    entities: pending.entities,
+    intent: pending.intent,
+    confirmed: true
+  });
+  
+  return await runGeneratedSql(pending.question, {
+    sqlQuery: pending.sql,
+    entities: pending.entities,
+    intent: pending.intent
+  }, context, { ...options, confirmedSql: pending.sql });
+}
+
+// Explain why the cost guard stopped a query, holding it for confirmation if allowed
+function costGuardResponse(execution, nlToSqlResult, userMessage, context) {
+  const assessment = execution.costAssessment;
+  const explanation = assessment.reasons.join('; ');
+  
+  if (assessment.action === 'reject') {
     return {
       role: 'assistant',
-      content: `Error processing your request: ${error.message}`,
+      content: `I didn't run this query because it looks too expensive: it ${explanation}. Try narrowing your question, for example with a date range or a filter.\n\n${execution.sqlQuery}`,
       metadata: {
-        error: error.message
+        sql_query: execution.sqlQuery,
+        entities: execution.entities,
+        intent: nlToSqlResult.intent,
+        cost_assessment: assessment,
+        attempts: execution.attempts
       }
     };
   }
+  
+  const token = crypto.randomUUID();
+  holdPendingQuery(token, {
+    userId: context.identity && context.identity.userId,
+    question: userMessage,
+    sql: execution.sqlQuery,
+    entities: execution.entities,
+    intent: nlToSqlResult.intent
+  });
+  
+  return {
+    role: 'assistant',
+    content: `This query looks expensive: it ${explanation}.\n\n${execution.sqlQuery}\n\nSend the request again with confirmToken "${token}" to run it anyway.`,
+    metadata: {
+      sql_query: execution.sqlQuery,
+      entities: execution.entities,
+      intent: nlToSqlResult.intent,
+      cost_assessment: assessment,
+      requires_confirmation: true,
+      confirmation_token: token,
+      attempts: execution.attempts
+    }
+  };
+}
+
+// Keep a held-back query until it's confirmed or expires
+function holdPendingQuery(token, pending) {
+  const now = Date.now();
+  for (const [key, entry] of pendingQueries.entries()) {
+    if (entry.expiresAt <= now) pendingQueries.delete(key);
+  }
+  pendingQueries.set(token, { ...pending, expiresAt: now + PENDING_QUERY_TTL });
+}
+
+// Remove and return the caller's held-back query for a token; null if it's unknown, expired or someone else's
+function takePendingQuery(token, userId) {
+  const pending = pendingQueries.get(token);
+  if (!pending || pending.userId !== userId) return null;
+  
+  pendingQueries.delete(token);
+  return pending.expiresAt > Date.now() ? pending : null;
+}
+
+// Execute generated SQL, feeding database errors back to the model for a bounded
+// number of repair attempts. Every attempt is recorded for the response metadata.
+async function executeWithRepair(userMessage, nlToSqlResult, context, options = {}) {
+  const attempts = [];
+  let sqlQuery = nlToSqlResult.sqlQuery;
+  let entities = nlToSqlResult.entities;
+  
+  for (let attempt = 1; ; attempt++) {
+    // Restrict every table to the caller's rows; the model never sees this rewrite
+    let filtered;
+    try {
+      filtered = applyRowFilters(sqlQuery, context.identity);
+    } catch (error) {
+      attempts.push({ attempt, sql: sqlQuery, success: false, error: error.message });
+      const securityAlert = {
+        type: 'row_security',
+        severity: 'high',
+        details: error.message
+      };
+      reportValidation(options, securityAlert);
+      return {
+        error: error.message,
+        securityAlert,
+        sqlQuery,
+        entities,
+        attempts
+      };
+    }
+    
+    try {
+      // Estimate the cost before running anything, unless the caller confirmed this SQL
+      if (sqlQuery !== options.confirmedSql) {
+        const costAssessment = await assessQueryCost(filtered.sql, { signal: options.signal });
+        if (!costAssessment.allowed) {
+          attempts.push({ attempt, sql: sqlQuery, success: false, error: `Cost guard: ${costAssessment.reasons.join('; ')}` });
+          return { costAssessment, sqlQuery, entities, attempts };
+        }
+      }
+      
+      reportProgress(options, 'execution_started', { sql_query: sqlQuery, attempt });
+      const results = await executeLimitedQuery(filtered.sql, { maxRows: options.maxRows, signal: options.signal });
+      attempts.push({ attempt, sql: sqlQuery, success: true });
+      return { results, sqlQuery, entities, attempts, appliedFilters: filtered.appliedFilters };
+    } catch (error) {
+      // A cancelled query is not something the model should try to repair
+      throwIfCancelled(options.signal);
+      
+      attempts.push({ attempt, sql: sqlQuery, success: false, error: error.message, code: error.code });
+      
+      if (attempt > MAX_REPAIR_ATTEMPTS) {
+        return { error: error.message, errorCode: error.code, sqlQuery, entities, attempts };
+      }
+      
+      let repaired;
+      try {
+        repaired = await repairSqlQuery(userMessage, sqlQuery, error.message, { accessRole: context.accessRole });
+      } catch (repairError) {
+        return { error: error.message, errorCode: error.code, sqlQuery, entities, attempts };
+      }
+      
+      // Repaired SQL that fails validation ends the loop like a first attempt would
+      if (repaired.intent === 'SECURITY_BLOCKED') {
+        reportValidation(options, repaired.securityAlert);
+        attempts.push({ attempt: attempt + 1, sql: null, success: false, error: repaired.error });
+        return { error: repaired.error, securityAlert: repaired.securityAlert, sqlQuery, entities, attempts };
+      }
+      
+      if (!repaired.sqlQuery) {
+        return { error: error.message, errorCode: error.code, sqlQuery, entities, attempts };
+      }
+      
+      sqlQuery = repaired.sqlQuery;
+      entities = repaired.entities || entities;
+      
+      reportProgress(options, 'sql_generated', {
+        sql_query: sqlQuery,
+        entities,
+        intent: nlToSqlResult.intent,
+        repair_of: error.message,
+        attempt: attempt + 1
+      });
+      reportValidation(options, null);
+    }
+  }
+}
+
+// Tell a streaming caller about a pipeline stage; a failing listener never breaks the request
+function reportProgress(options, stage, data) {
+  if (typeof options.onProgress !== 'function') return;
+  
+  try {
+    options.onProgress(stage, data);
+  } catch (error) {
+    console.error(`Error reporting progress for stage ${stage}:`, error);
+  }
+}
+
+// Text of the running summary of turns that left the message history, if any
+function conversationSummary(context) {
+  const block = findSummaryBlock(context.memoryBlocks);
+  return block ? block.content : null;
+}
+
+// Record what a result was about, so the next question can refer to its rows
+async function rememberResult(context, question, sql, results) {
+  const resultSet = captureResultSet(question, sql, results, await getCachedSchema());
+  context.resultSets = rememberResultSet(context.resultSets, resultSet);
+}
+
+// Mark which resolved references the SQL that ran actually uses
+function checkReferences(references = [], sql) {
+  return references.map(reference => ({ ...reference, used: referenceUsed(reference, sql) }));
+}
+
+// Text of the memory blocks most relevant to the question, within the memory token budget
+async function recallMemory(context, userMessage) {
+  const blocks = (context.memoryBlocks || []).filter(block => !isSummaryBlock(block));
+  const relevant = await retrieveMemories(blocks, userMessage);
+  return relevant.map(block => (typeof block.content === 'string' ? block.content : JSON.stringify(block.content)));
+}
+
+// Report the outcome of the SQL security checks: passed, or blocked with the given alert
+function reportValidation(options, securityAlert) {
+  reportProgress(options, 'validation', securityAlert
+    ? { valid: false, type: securityAlert.type, reason: securityAlert.details }
+    : { valid: true });
+}
+
+// Describe how many rows a (possibly truncated) result holds
+function describeRowCount(results) {
+  if (!results.truncated) {
+    return `The query returned ${results.rowCount} rows.`;
+  }
+  
+  const total = results.totalRowCount !== null ? `${results.totalRowCount}` : 'more';
+  const reason = results.truncatedBy === 'bytes' ? 'the response size limit' : `the ${results.rowLimit} row limit`;
+  return `The query matched ${total} rows; the first ${results.rowCount} are included because of ${reason}.`;
+}
+
+// Find the table a schema question asks about, if any
+function extractSchemaTableName(userMessage) {
+  const tableNameMatch = userMessage.toLowerCase().match(/table[s\s]+(\w+)/i);
+  return tableNameMatch ? tableNameMatch[1] : null;
 }
 
 // Generate appropriate schema query based on the user's request
@@ -164,8 +604,7 @@ function generateSchemaQuery(userMessage) {
   const lowerMessage = userMessage.toLowerCase();
   
   // Check for specific table requests
-  const tableNameMatch = lowerMessage.match(/table[s\s]+(\w+)/i);
-  const tableName = tableNameMatch ? tableNameMatch[1] : null;
+  const tableName = extractSchemaTableName(userMessage);
   
   if (tableName) {
     // If asking about a specific table, return its structure
@@ -218,6 +657,28 @@ function generateSchemaQuery(userMessage) {
   }
 }
 
+// Drop schema rows describing tables or columns the caller's role may not read
+// Rows of a single-table query have no TABLE_NAME, so the table is passed in
+function filterSchemaResultsForRole(results, accessRole, tableName) {
+  if (accessRole === undefined || !results || !results.rows) {
+    return results;
+  }
+  
+  const rows = results.rows.filter(row => {
+    const table = row.TABLE_NAME || tableName;
+    if (!table) return true;
+    if (!canReadTable(accessRole, table)) return false;
+    if (row.COLUMN_NAME && !canReadColumn(accessRole, table, row.COLUMN_NAME)) return false;
+    return true;
+  });
+  
+  return {
+    ...results,
+    rows,
+    rowCount: rows.length
+  };
+}
+
 // Format schema results in a readable way
 function formatSchemaResults(results) {
   if (!results || !results.rows || results.rows.length === 0) {
@@ -273,38 +734,6 @@ function formatDate(date) {
   return new Date(date).toISOString().split('T')[0];
 }
 
-// Function to verify safety of direct tool calls
-function verifyToolCallSafety(toolName, parameters) {
-  // Import security filter if not already available
-  const securityFilter = require('./securityFilter');
-  
-  if (toolName === 'sql_generator') {
-    // Check the natural language query for security issues
-    if (parameters.query) {
-      const validation = securityFilter.validateNaturalLanguageInput(parameters.query);
-      if (!validation.isValid) {
-        return {
-          valid: false,
-          reason: validation.reason
-        };
-      }
-    }
-  } else if (toolName === 'sql_executor') {
-    // Check the SQL query directly
-    if (parameters.sql) {
-      const validation = securityFilter.validateSql(parameters.sql);
-      if (!validation.isValid) {
-        return {
-          valid: false,
-          reason: validation.reason
-        };
-      }
-    }
-  }
-  
-  return { valid: true };
-}
-
 // Function to generate user-friendly security block messages
 function securityBlockResponseMessage(securityAlert) {
   if (!securityAlert) {
@@ -323,6 +752,12 @@ function securityBlockResponseMessage(securityAlert) {
     case 'sql_validation':
       return "I've generated a SQL query based on your request, but it contains operations that could be harmful to your database. I can only generate safe, read-only SQL queries.";
       
+    case 'row_security':
+      return "I can't run this query because your account isn't linked to the data it needs. Please contact your administrator.";
+      
+    case 'access_policy':
+      return "The query needed for this request uses tables or columns you don't have access to. Please ask about data your role is allowed to see.";
+      
     case 'sensitive_data_access':
       return "For security reasons, I cannot generate queries that directly access sensitive information like passwords or personal data. I can help you with statistical queries about this data instead.";
       
@@ -0,0 +1,92 @@
+// File: requestTracker.js
+/**
+ * Cancellable requests for MCP server
+ * Each long-running REST request gets an ID and an AbortController. Cancelling
+ * the ID aborts the request's signal, which tools pass down to stop the MySQL
+ * query or the MySQL client they are waiting on.
+ */
+const crypto = require('crypto');
+
+// Client-chosen request IDs must look like this
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9_.:-]{1,128}$/;
+
+// Request ID -> { controller, userId, startedAt }
+const activeRequests = new Map();
+
+/**
+ * Creates the error a cancelled request fails with
+ * @returns {Error} Error with code REQUEST_CANCELLED
+ */
+function cancelledError() {
+  const error = new Error('Request was cancelled');
+  error.code = 'REQUEST_CANCELLED';
+  return error;
+}
+
+/**
+ * Throws the cancellation error if the signal was aborted
+ * @param {AbortSignal} signal Optional signal
+ */
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    throw cancelledError();
+  }
+}
+
+/**
+ * Starts tracking a request
+ * Throws an error with code INVALID_REQUEST_ID for a malformed or already running ID.
+ * @param {string} requestId The client's ID for the request, or undefined to generate one
+ * @param {string} userId The caller; only the same user may cancel the request
+ * @returns {Object} { requestId, signal, finish() } where finish() stops tracking it
+ */
+function startRequest(requestId, userId) {
+  const id = requestId || crypto.randomUUID();
+
+  if (!REQUEST_ID_PATTERN.test(id) || activeRequests.has(id)) {
+    const error = new Error(activeRequests.has(id)
+      ? `Request ${id} is already running`
+      : 'Request IDs may only contain letters, digits, _ . : and - (at most 128)');
+    error.code = 'INVALID_REQUEST_ID';
+    throw error;
+  }
+
+  const controller = new AbortController();
+  const entry = { controller, userId, startedAt: Date.now() };
+  activeRequests.set(id, entry);
+
+  return {
+    requestId: id,
+    signal: controller.signal,
+    // The ID may already belong to a newer request if this one was cancelled
+    finish: () => {
+      if (activeRequests.get(id) === entry) activeRequests.delete(id);
+    }
+  };
+}
+
+/**
+ * Cancels a running request
+ * @param {string} requestId The request to cancel
+ * @param {string} userId The caller, who must have started the request
+ * @returns {boolean} Whether a matching request was running
+ */
+function cancelRequest(requestId, userId) {
+  const request = activeRequests.get(requestId);
+
+  // Someone else's request looks the same as one that doesn't exist
+  if (!request || request.userId !== userId) {
+    return false;
+  }
+
+  request.controller.abort();
+  activeRequests.delete(requestId);
+  return true;
+}
+
+module.exports = {
+  cancelledError,
+  throwIfCancelled,
+  startRequest,
+  cancelRequest
+};
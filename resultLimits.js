@@ -0,0 +1,166 @@
+// File: resultLimits.js
+/**
+ * Result size limits for MCP server
+ * Generated SQL without a LIMIT gets one injected, and serialized results are
+ * capped in bytes, so one broad question can't push huge payloads through the API.
+ */
+const { executeReadOnlyQuery } = require('./dbConnector');
+const { parseSql, toSql } = require('./sqlAst');
+
+// Default row limit, and the highest limit a request may ask for
+const MAX_RESULT_ROWS = parseInt(process.env.MAX_RESULT_ROWS, 10) || 1000;
+const MAX_RESULT_ROWS_CEILING = parseInt(process.env.MAX_RESULT_ROWS_CEILING, 10) || 10000;
+// Cap on the JSON size of the returned rows
+const MAX_RESULT_BYTES = parseInt(process.env.MAX_RESULT_BYTES, 10) || 1024 * 1024;
+// Time budget for counting the full result of a truncated query
+const ROW_COUNT_TIMEOUT = parseInt(process.env.ROW_COUNT_TIMEOUT, 10) || 500;
+
+/**
+ * Resolves the row limit for a request
+ * @param {number} requested Optional per-request limit
+ * @returns {number} The requested limit clamped to the ceiling, or the default
+ */
+function resolveRowLimit(requested) {
+  const value = parseInt(requested, 10);
+  if (!value || value < 1) {
+    return Math.min(MAX_RESULT_ROWS, MAX_RESULT_ROWS_CEILING);
+  }
+  return Math.min(value, MAX_RESULT_ROWS_CEILING);
+}
+
+// Read the row count out of a LIMIT node: "LIMIT n", "LIMIT offset, n" or "LIMIT n OFFSET offset"
+function getLimitCount(limit) {
+  if (!limit || !Array.isArray(limit.value) || limit.value.length === 0) return null;
+
+  const countNode = limit.seperator === ',' ? limit.value[1] : limit.value[0];
+  return countNode && countNode.type === 'number' ? Number(countNode.value) : undefined;
+}
+
+function setLimitCount(limit, count) {
+  const index = limit.seperator === ',' ? 1 : 0;
+  limit.value[index] = { type: 'number', value: count };
+}
+
+// Parse SQL that must hold exactly one statement
+function parseSingleStatement(sql) {
+  const statements = parseSql(sql);
+  if (statements.length !== 1) {
+    throw new Error('Only a single SQL statement can be executed');
+  }
+  return statements[0];
+}
+
+// Put a statement's syntax tree inside the derived table of a wrapper query, so
+// the result is serialized from trees only and never by pasting SQL text together
+function wrapStatement(wrapperSql, ast) {
+  const [wrapper] = parseSql(wrapperSql);
+  wrapper.from[0].expr.ast = ast;
+  return wrapper;
+}
+
+/**
+ * Makes sure a SELECT returns at most maxRows + 1 rows
+ * The extra row tells the caller the result was truncated. The returned SQL is
+ * always serialized from the syntax tree, so what runs is what was parsed.
+ * @param {string} sql The SQL to limit
+ * @param {number} maxRows The row limit
+ * @returns {Object} { sql, limitInjected }
+ * @throws {Error} If the SQL can't be parsed or holds more than one statement
+ */
+function applyRowLimit(sql, maxRows) {
+  const ast = parseSingleStatement(sql);
+
+  // A UNION is limited from outside: with parenthesized arms, a trailing LIMIT
+  // would only bind to the last arm
+  if (ast._next) {
+    return {
+      sql: toSql(wrapStatement(`SELECT * FROM (SELECT 1) AS limited LIMIT ${maxRows + 1}`, ast)),
+      limitInjected: true
+    };
+  }
+
+  const count = getLimitCount(ast.limit);
+
+  if (count === null) {
+    ast.limit = { seperator: '', value: [{ type: 'number', value: maxRows + 1 }] };
+    return { sql: toSql(ast), limitInjected: true };
+  }
+
+  if (count !== undefined && count > maxRows) {
+    setLimitCount(ast.limit, maxRows + 1);
+    return { sql: toSql(ast), limitInjected: true };
+  }
+
+  // The query's own LIMIT is already within bounds (or isn't a plain number)
+  return { sql: toSql(ast), limitInjected: false };
+}
+
+// Count the rows the unlimited query would return, if that fits in the time budget
+async function countAllRows(sql, signal) {
+  try {
+    const countSql = toSql(wrapStatement('SELECT COUNT(*) AS total FROM (SELECT 1) AS counted', parseSingleStatement(sql)));
+    const result = await executeReadOnlyQuery(countSql, { timeout: ROW_COUNT_TIMEOUT, signal });
+    return Number(result.rows[0].total);
+  } catch (error) {
+    // Too slow or not countable: the true row count is simply unknown
+    return null;
+  }
+}
+
+// Drop rows from the end until the serialized rows fit in the byte cap
+function capResultBytes(rows, maxBytes) {
+  let total = 2; // The surrounding brackets
+  for (let i = 0; i < rows.length; i++) {
+    total += Buffer.byteLength(JSON.stringify(rows[i])) + (i > 0 ? 1 : 0);
+    if (total > maxBytes) {
+      return rows.slice(0, i);
+    }
+  }
+  return rows;
+}
+
+/**
+ * Executes a SELECT with a row limit and a byte cap, in a read-only transaction
+ * @param {string} sql The SQL to execute
+ * @param {Object} options Optional `maxRows` override, clamped to the ceiling, `timeout` in ms,
+ *   and `signal` to cancel the query
+ * @returns {Object} Results from executeQuery, plus truncated, truncatedBy, rowLimit and totalRowCount
+ */
+async function executeLimitedQuery(sql, options = {}) {
+  const maxRows = resolveRowLimit(options.maxRows);
+  const limited = applyRowLimit(sql, maxRows);
+  const results = await executeReadOnlyQuery(limited.sql, { timeout: options.timeout, signal: options.signal });
+
+  let rows = results.rows;
+  let truncatedBy = null;
+
+  if (rows.length > maxRows) {
+    rows = rows.slice(0, maxRows);
+    truncatedBy = 'rows';
+  }
+
+  const cappedRows = capResultBytes(rows, MAX_RESULT_BYTES);
+  if (cappedRows.length < rows.length) {
+    rows = cappedRows;
+    truncatedBy = 'bytes';
+  }
+
+  // Every row was fetched unless the limit was hit
+  const totalRowCount = results.rows.length > maxRows ? await countAllRows(sql, options.signal) : results.rows.length;
+
+  return {
+    ...results,
+    rows,
+    rowCount: rows.length,
+    truncated: truncatedBy !== null,
+    truncatedBy,
+    rowLimit: maxRows,
+    totalRowCount
+  };
+}
+
+module.exports = {
+  resolveRowLimit,
+  applyRowLimit,
+  executeLimitedQuery
+};
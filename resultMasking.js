@@ -0,0 +1,239 @@
+// File: resultMasking.js
+/**
+ * PII masking for query results in MCP server
+ * Result columns are classified as email, phone, card_number or secret, either
+ * by the "masking" section of the access policy file or by column name. When the
+ * SQL is known, a column computed from a classified column (CONCAT(email, ''),
+ * an alias, a derived table or CTE column) gets that column's class. Each class
+ * is masked with a strategy:
+ *   redact  - replace the value with [REDACTED]
+ *   partial - keep just enough to recognize the value (j***@example.com, ***-***-1234)
+ *   hash    - replace the value with a stable SHA-256 digest, so it can still be compared
+ *   none    - pass the value through
+ *
+ * Example configuration:
+ *   "masking": {
+ *     "columns": { "customers.contact": "email", "*.iban": "card_number", "users.nickname": "none" },
+ *     "strategies": { "email": "hash" },
+ *     "passThroughRoles": { "email": ["support"], "*": ["admin"] }
+ *   }
+ */
+const crypto = require('crypto');
+const { loadAccessPolicy } = require('./accessPolicy');
+const { parseSql, resolveOutputColumns } = require('./sqlAst');
+
+// Column name heuristics, checked in order
+const CLASSIFICATION_PATTERNS = [
+  { classification: 'secret', pattern: /pass(word|wd)?|pwd|secret|token|api_?key|salt|hash/i },
+  { classification: 'card_number', pattern: /(card|cc|credit_?card)_?(num|number|no)|^pan$|^cc$/i },
+  { classification: 'email', pattern: /e_?mail/i },
+  { classification: 'phone', pattern: /phone|mobile|^cell|^fax|^tel$|telephone/i }
+];
+
+const DEFAULT_STRATEGIES = {
+  email: 'partial',
+  phone: 'partial',
+  card_number: 'partial',
+  secret: 'redact'
+};
+
+const REDACTED = '[REDACTED]';
+
+// Read the masking section of the access policy
+function getMaskingConfig() {
+  const policy = loadAccessPolicy();
+  return (policy && policy.masking) || {};
+}
+
+/**
+ * Classifies a result column
+ * @param {Object} field Field metadata from executeQuery (name, table, column)
+ * @param {Object} config Masking configuration
+ * @returns {string|null} The classification, or null if the column is not sensitive
+ */
+function classifyColumn(field, config = getMaskingConfig()) {
+  const configured = config.columns || {};
+  const table = (field.table || '').toLowerCase();
+  const names = [field.column, field.name].filter(Boolean).map(name => name.toLowerCase());
+
+  // Configured columns take precedence over the heuristics, "none" included
+  for (const [key, classification] of Object.entries(configured)) {
+    const separator = key.lastIndexOf('.');
+    const keyTable = separator >= 0 ? key.substring(0, separator).toLowerCase() : '*';
+    const keyColumn = key.substring(separator + 1).toLowerCase();
+
+    if ((keyTable === '*' || keyTable === table) && names.includes(keyColumn)) {
+      return classification === 'none' ? null : classification;
+    }
+  }
+
+  for (const name of names) {
+    const match = CLASSIFICATION_PATTERNS.find(entry => entry.pattern.test(name));
+    if (match) return match.classification;
+  }
+
+  return null;
+}
+
+// Base columns each result field is computed from, or null if the SQL doesn't tell
+function resolveFieldSources(fields, sql, schema) {
+  if (!sql) return null;
+
+  let outputs;
+  try {
+    const statements = parseSql(sql);
+    if (statements.length !== 1) return null;
+    outputs = resolveOutputColumns(statements[0], schema);
+  } catch (error) {
+    return null;
+  }
+  if (!outputs) return null;
+
+  // Output columns line up with the fields unless the server merged some (e.g. JOIN ... USING with *)
+  if (outputs.length === fields.length) {
+    return outputs.map(output => output.sources);
+  }
+
+  return fields.map(field => outputs
+    .filter(output => output.name && field.name && output.name.toLowerCase() === field.name.toLowerCase())
+    .flatMap(output => output.sources));
+}
+
+// Classify a field by its own name, then by the first classified column it is computed from
+function classifyField(field, sources, config) {
+  const classification = classifyColumn(field, config);
+  if (classification || !sources) return classification;
+
+  for (const source of sources) {
+    const sourceClassification = classifyColumn({ table: source.table, column: source.column }, config);
+    if (sourceClassification) return sourceClassification;
+  }
+
+  return null;
+}
+
+// Decide how a class of data is shown to a role
+function getStrategy(classification, role, config) {
+  const passThroughRoles = config.passThroughRoles || {};
+  const privileged = [
+    ...(passThroughRoles[classification] || []),
+    ...(passThroughRoles['*'] || [])
+  ];
+
+  if (role && privileged.includes(role)) {
+    return 'none';
+  }
+
+  return (config.strategies && config.strategies[classification]) || DEFAULT_STRATEGIES[classification] || 'redact';
+}
+
+// Keep the last four digits, masking every other digit
+function maskDigits(value) {
+  const digitCount = (value.match(/\d/g) || []).length;
+  let seen = 0;
+
+  return value.replace(/\d/g, digit => {
+    seen++;
+    return seen > digitCount - 4 ? digit : '*';
+  });
+}
+
+function maskPartial(classification, value) {
+  switch (classification) {
+    case 'email': {
+      const at = value.indexOf('@');
+      if (at < 1) return REDACTED;
+      return `${value[0]}***${value.substring(at)}`;
+    }
+    case 'phone':
+    case 'card_number':
+      return maskDigits(value);
+    default:
+      // Secrets and unknown classes have no safe partial form
+      return REDACTED;
+  }
+}
+
+function hashValue(value) {
+  const salt = process.env.MASKING_HASH_SALT || '';
+  return `sha256:${crypto.createHash('sha256').update(salt + value).digest('hex').substring(0, 16)}`;
+}
+
+/**
+ * Masks a single value
+ * @param {*} value The raw value
+ * @param {string} classification The column classification
+ * @param {string} strategy redact, partial, hash or none
+ * @returns {*} The masked value
+ */
+function maskValue(value, classification, strategy) {
+  if (value === null || value === undefined || strategy === 'none') {
+    return value;
+  }
+
+  const text = Buffer.isBuffer(value) ? value.toString('utf8') : String(value);
+
+  switch (strategy) {
+    case 'partial':
+      return maskPartial(classification, text);
+    case 'hash':
+      return hashValue(text);
+    default:
+      return REDACTED;
+  }
+}
+
+/**
+ * Masks sensitive columns of a result set from executeQuery
+ * @param {Object} results Query results with rows and fields
+ * @param {string|null} role The caller's access role
+ * @param {Object} options Optional `sql` that produced the results, so columns computed from
+ *   sensitive columns are masked too, and `schema` from getCachedSchema() to resolve it
+ * @returns {Object} Results with masked rows; masked fields carry a `masking` entry
+ */
+function maskResults(results, role = null, options = {}) {
+  if (!results || !Array.isArray(results.rows) || !Array.isArray(results.fields)) {
+    return results;
+  }
+
+  const config = getMaskingConfig();
+  const maskedColumns = [];
+  const fieldSources = resolveFieldSources(results.fields, options.sql, options.schema);
+
+  const fields = results.fields.map((field, i) => {
+    const classification = classifyField(field, fieldSources && fieldSources[i], config);
+    if (!classification) return field;
+
+    const strategy = getStrategy(classification, role, config);
+    if (strategy !== 'none') {
+      maskedColumns.push({ name: field.name, classification, strategy });
+    }
+
+    return {
+      ...field,
+      masking: { classification, strategy }
+    };
+  });
+
+  if (maskedColumns.length === 0) {
+    return { ...results, fields };
+  }
+
+  const rows = results.rows.map(row => {
+    const maskedRow = { ...row };
+    for (const column of maskedColumns) {
+      if (column.name in maskedRow) {
+        maskedRow[column.name] = maskValue(maskedRow[column.name], column.classification, column.strategy);
+      }
+    }
+    return maskedRow;
+  });
+
+  return { ...results, rows, fields };
+}
+
+module.exports = {
+  classifyColumn,
+  maskValue,
+  maskResults
+};
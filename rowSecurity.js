@@ -0,0 +1,112 @@
+// File: rowSecurity.js
+/**
+ * Row-level security for MCP server
+ * Every reference to a table with a row filter rule is replaced by a derived
+ * table that only contains the caller's rows:
+ *
+ *   FROM orders o  ->  FROM (SELECT * FROM `orders` WHERE `tenant_id` = 7) AS o
+ *
+ * The rewrite happens on the syntax tree, so it covers joins, subqueries, CTEs
+ * and UNION arms, and no predicate written by the model can widen it. The SQL
+ * returned is always serialized from that tree, even when nothing was rewritten,
+ * so text the parser skipped can't reach the database.
+ *
+ * Rules live in the access policy file under "rowFilters":
+ *   "rowFilters": {
+ *     "orders": { "column": "tenant_id", "attribute": "tenantId", "exemptRoles": ["admin"] }
+ *   }
+ * "attribute" names a property of the caller's identity (see resolveIdentity).
+ */
+const mysql = require('mysql2');
+const { loadAccessPolicy } = require('./accessPolicy');
+const { parseSql, toSql, forEachSelect, collectCteNames, identifierName } = require('./sqlAst');
+
+/**
+ * Returns the configured row filter rules, keyed by lower-cased table name
+ * @returns {Object} Rules; empty when none are configured
+ */
+function getRowFilterRules() {
+  const policy = loadAccessPolicy();
+  const rules = {};
+
+  for (const [table, rule] of Object.entries((policy && policy.rowFilters) || {})) {
+    rules[table.toLowerCase()] = rule;
+  }
+
+  return rules;
+}
+
+// Build the syntax tree of the derived table holding the caller's rows
+function buildFilteredTable(db, table, rule, value) {
+  const tableName = db ? `${mysql.escapeId(db)}.${mysql.escapeId(table)}` : mysql.escapeId(table);
+  return parseSql(`SELECT * FROM ${tableName} WHERE ${mysql.escapeId(rule.column)} = ${mysql.escape(value)}`)[0];
+}
+
+/**
+ * Rewrites a SELECT statement so every filtered table only yields the caller's rows
+ * @param {string} sql The SQL to rewrite; it must already have passed validateSql
+ * @param {Object} identity The caller's identity from resolveIdentity()
+ * @returns {Object} { sql, appliedFilters } where sql is serialized from the syntax tree
+ *   and appliedFilters lists each rewritten table
+ * @throws {Error} If the SQL can't be parsed or holds more than one statement, or if the
+ *   caller has no value for a filter attribute; the query must not run
+ */
+function applyRowFilters(sql, identity = {}) {
+  const rules = getRowFilterRules();
+
+  const statements = parseSql(sql);
+  if (statements.length !== 1) {
+    throw new Error('Row-level security can only be applied to a single statement');
+  }
+  const ast = statements[0];
+
+  // Collect the table references first, so the inserted subqueries are not rewritten again
+  const cteNames = collectCteNames(ast);
+  const targets = [];
+  forEachSelect(ast, select => {
+    (select.from || []).forEach((from, index) => {
+      if (!from.table || (!from.db && cteNames.has(from.table.toLowerCase()))) return;
+
+      const rule = rules[from.table.toLowerCase()];
+      if (rule) {
+        targets.push({ select, index, from, rule });
+      }
+    });
+  });
+
+  const appliedFilters = [];
+
+  for (const { select, index, from, rule } of targets) {
+    if (rule.exemptRoles && rule.exemptRoles.includes(identity.role)) continue;
+
+    const value = identity[rule.attribute];
+    if (value === undefined || value === null) {
+      throw new Error(`Row-level security: caller has no ${rule.attribute}, which is required to read ${from.table}`);
+    }
+
+    const alias = identifierName(from.as) || from.table;
+    select.from[index] = {
+      expr: {
+        ast: buildFilteredTable(from.db, from.table, rule, value),
+        parentheses: true
+      },
+      as: alias,
+      join: from.join,
+      on: from.on,
+      using: from.using
+    };
+
+    appliedFilters.push({
+      table: from.table,
+      alias,
+      predicate: `${rule.column} = ${value}`
+    });
+  }
+
+  return { sql: toSql(ast), appliedFilters };
+}
+
+module.exports = {
+  getRowFilterRules,
+  applyRowFilters
+};
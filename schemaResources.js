@@ -0,0 +1,102 @@
+// File: schemaResources.js
+/**
+ * Database schema as MCP resources
+ * Every table the caller may read is a resource at schema://<database>/<table>,
+ * whose JSON content lists its columns, types, keys, row estimate and comments.
+ */
+const { getDatabaseName } = require('./dbConnector');
+
+const SCHEMA_URI_SCHEME = 'schema://';
+const SCHEMA_MIME_TYPE = 'application/json';
+
+const SCHEMA_RESOURCE_TEMPLATE = {
+  uriTemplate: `${SCHEMA_URI_SCHEME}{database}/{table}`,
+  name: 'table-schema',
+  title: 'Table schema',
+  description: 'Columns, types, keys, row estimate and comments of a database table',
+  mimeType: SCHEMA_MIME_TYPE
+};
+
+function tableUri(tableName) {
+  return `${SCHEMA_URI_SCHEME}${encodeURIComponent(getDatabaseName())}/${encodeURIComponent(tableName)}`;
+}
+
+// Find the table a schema:// URI points to, or null if it is not a table of this database
+function parseTableUri(uri) {
+  if (typeof uri !== 'string' || !uri.startsWith(SCHEMA_URI_SCHEME)) return null;
+
+  const parts = uri.substring(SCHEMA_URI_SCHEME.length).split('/');
+  if (parts.length !== 2) return null;
+
+  try {
+    const [database, table] = parts.map(decodeURIComponent);
+    return database === getDatabaseName() && table ? table : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Describes a table for a resource read
+ * @param {Object} table A table from getDatabaseSchema()
+ * @returns {Object} The resource content
+ */
+function describeTable(table) {
+  return {
+    database: getDatabaseName(),
+    table: table.name,
+    comment: table.comment,
+    rowEstimate: table.rowEstimate,
+    primaryKey: table.primaryKey,
+    columns: table.columns.map(column => ({
+      name: column.name,
+      type: column.type,
+      nullable: column.nullable,
+      default: column.default,
+      key: column.key,
+      extra: column.extra,
+      comment: column.comment
+    })),
+    foreignKeys: table.foreignKeys
+  };
+}
+
+/**
+ * Lists a schema's tables as MCP resources
+ * @param {Object} schema Schema from getDatabaseSchema(), already filtered for the caller
+ * @returns {Array} Resource descriptors
+ */
+function listSchemaResources(schema) {
+  return Object.values(schema).map(table => ({
+    uri: tableUri(table.name),
+    name: table.name,
+    title: `Table ${table.name}`,
+    description: table.comment || `Schema of the ${table.name} table`,
+    mimeType: SCHEMA_MIME_TYPE
+  }));
+}
+
+/**
+ * Reads a schema resource
+ * @param {string} uri The resource URI
+ * @param {Object} schema Schema from getDatabaseSchema(), already filtered for the caller
+ * @returns {Object|null} The resource contents, or null if there is no such table
+ */
+function readSchemaResource(uri, schema) {
+  const tableName = parseTableUri(uri);
+  const table = tableName && schema[tableName];
+  if (!table) return null;
+
+  return {
+    uri,
+    mimeType: SCHEMA_MIME_TYPE,
+    text: JSON.stringify(describeTable(table), null, 2)
+  };
+}
+
+module.exports = {
+  SCHEMA_RESOURCE_TEMPLATE,
+  describeTable,
+  listSchemaResources,
+  readSchemaResource
+};
@@ -1,4 +1,7 @@
 // File: securityFilter.js
+const { parseSql, walkAst, getTableReferences, getFunctionName, describeNode } = require('./sqlAst');
+const { checkSqlAccess } = require('./accessPolicy');
+
 /**
  * Security filter module for MCP server
  * This module provides enhanced security checking for natural language inputs
@@ -12,6 +15,20 @@ const DANGEROUS_OPERATIONS = [
   'BENCHMARK', 'SLEEP', 'XP_CMDSHELL', 'SP_EXECUTE', 'INFORMATION_SCHEMA'
 ];
 
+// Functions that must never appear in generated SQL
+const FORBIDDEN_FUNCTIONS = [
+  'SLEEP', 'BENCHMARK', 'LOAD_FILE', 'GET_LOCK', 'RELEASE_LOCK', 'RELEASE_ALL_LOCKS',
+  'IS_FREE_LOCK', 'IS_USED_LOCK', 'MASTER_POS_WAIT', 'SOURCE_POS_WAIT',
+  'WAIT_FOR_EXECUTED_GTID_SET', 'SYS_EXEC', 'SYS_EVAL'
+];
+
+// Statements reported as data modification rather than forbidden commands
+const DATA_MODIFICATION_STATEMENTS = ['INSERT', 'REPLACE', 'UPDATE', 'DELETE'];
+
+// Schemas holding server internals; only table and column listings may be read
+const SYSTEM_SCHEMAS = ['information_schema', 'mysql', 'performance_schema', 'sys'];
+const ALLOWED_INFORMATION_SCHEMA_TABLES = ['tables', 'columns'];
+
 // List of SQL injection patterns - FIXED REGEX SYNTAX
 const INJECTION_PATTERNS = [
   ';.*--',                  // Comment-based injection
@@ -148,85 +165,108 @@ function validateNaturalLanguageInput(input) {
 
 /**
  * Validates a SQL query for potential security issues
+ * The query is parsed into a syntax tree and judged by its structure, so
+ * keywords inside string literals or aliases don't cause false positives
  * @param {string} sql The SQL query to validate
- * @returns {Object} Validation result with status and reason if blocked
+ * @param {Object} options Optional `role` of the caller, to enforce the access policy,
+ *   and `schema`, used to resolve unqualified columns
+ * @returns {Object} Validation result with status, and reason and offending node if blocked
  */
-function validateSql(sql) {
+function validateSql(sql, options = {}) {
   if (!sql) {
     return { isValid: false, reason: 'Empty SQL query', severity: 'low' };
   }
   
-  // Convert to uppercase for case-insensitive operation matching
-  const upperSql = sql.toUpperCase();
+  let statements;
+  try {
+    statements = parseSql(sql);
+  } catch (error) {
+    return {
+      isValid: false,
+      reason: error.message,
+      severity: error.code === 'EXECUTABLE_COMMENT' ? 'high' : 'medium',
+      node: error.location
+        ? { type: 'parse_error', location: { line: error.location.start.line, column: error.location.start.column } }
+        : undefined
+    };
+  }
   
-  // Check for dangerous SQL commands
-  for (const op of DANGEROUS_OPERATIONS) {
-    // Make sure it's a standalone command (not part of a word)
-    // For example, "DROP" should match but not "DROPDOWN"
-    try {
-      const regex = new RegExp(`\\b${op}\\b`, 'i');
-      if (regex.test(upperSql)) {
-        // For data modification, we might want to add a warning but not block
-        if (['UPDATE', 'INSERT', 'DELETE'].includes(op)) {
-          return {
-            isValid: false,
-            reason: `SQL contains data modification command: ${op}`,
-            severity: 'medium',
-            isDataModification: true
-          };
-        }
-        
-        return {
-          isValid: false,
-          reason: `SQL contains forbidden command: ${op}`,
-          severity: 'high'
-        };
-      }
-    } catch (error) {
-      console.error(`Invalid regex for SQL operation: ${op}`, error);
-      // Continue with other operations
+  // Only a single statement may be executed
+  if (statements.length !== 1) {
+    return {
+      isValid: false,
+      reason: statements.length === 0 ? 'Empty SQL query' : 'Multiple SQL statements are not allowed',
+      severity: statements.length === 0 ? 'low' : 'high'
+    };
+  }
+  
+  const ast = statements[0];
+  
+  // Only SELECT (including WITH ... SELECT) statements are allowed
+  if (ast.type !== 'select') {
+    const statementType = String(ast.type).toUpperCase();
+    
+    if (DATA_MODIFICATION_STATEMENTS.includes(statementType)) {
+      return {
+        isValid: false,
+        reason: `SQL contains data modification command: ${statementType}`,
+        severity: 'medium',
+        isDataModification: true,
+        node: describeNode(sql, ast, '')
+      };
     }
+    
+    return {
+      isValid: false,
+      reason: `SQL contains forbidden command: ${statementType}`,
+      severity: 'high',
+      node: describeNode(sql, ast, '')
+    };
+  }
+  
+  let violation = null;
+  walkAst(ast, (node, path) => {
+    if (violation) return false;
+    violation = checkSqlNode(sql, node, path);
+    return !violation;
+  });
+  
+  if (violation) {
+    return violation;
   }
   
-  // Check for multiple statements
-  if (sql.includes(';') && !/;\s*$/.test(sql)) {
+  // System schemas are off limits, except for reading table and column listings
+  let schemaWarning = null;
+  for (const reference of getTableReferences(ast)) {
+    const db = (reference.db || '').toLowerCase();
+    if (!SYSTEM_SCHEMAS.includes(db)) continue;
+    
+    if (db === 'information_schema' && ALLOWED_INFORMATION_SCHEMA_TABLES.includes(reference.table.toLowerCase())) {
+      schemaWarning = 'Query accesses database schema information';
+      continue;
+    }
+    
     return {
       isValid: false,
-      reason: 'Multiple SQL statements are not allowed',
-      severity: 'high'
+      reason: `SQL reads from system table: ${reference.db}.${reference.table}`,
+      severity: 'high',
+      node: describeNode(sql, reference.node, reference.path)
     };
   }
   
-  // Check for UNION-based injection
-  if (/UNION\s+(?:ALL\s+)?SELECT/i.test(sql)) {
-    // Additional context check - if it's a legitimate UNION with same tables, it might be okay
-    // This is a simplified check - in production you might want more sophisticated parsing
-    const unionParts = sql.split(/UNION\s+(?:ALL\s+)?SELECT/i);
-    if (unionParts.length > 1) {
-      // Check if the fields being selected are similar on both sides of the UNION
-      // This is a basic heuristic - real SQL parsing would be better
-      const beforeUnionFields = extractFields(unionParts[0]);
-      const afterUnionFields = extractFields(unionParts[1]);
-      
-      // If field count doesn't match, it's suspicious
-      if (beforeUnionFields.length !== afterUnionFields.length) {
-        return {
-          isValid: false,
-          reason: 'Suspicious UNION SELECT with different field counts',
-          severity: 'high'
-        };
-      }
+  // Enforce the caller's table and column access policy
+  if (options.role !== undefined) {
+    const accessViolation = checkSqlAccess(sql, ast, options.role, options.schema);
+    if (accessViolation) {
+      return accessViolation;
     }
   }
   
-  // EXCEPTION FOR SCHEMA QUERIES
-  // Allow specific schema-related queries that might otherwise be blocked
-  if (/SELECT.*FROM.*INFORMATION_SCHEMA\.TABLES/i.test(sql) ||
-      /SELECT.*FROM.*INFORMATION_SCHEMA\.COLUMNS/i.test(sql)) {
+  if (schemaWarning) {
     // These are legitimate schema queries, but let's add a warning
-    return { 
+    return {
       isValid: true,
-      warning: 'Query accesses database schema information',
+      warning: schemaWarning,
       severity: 'low'
     };
   }
@@ -234,17 +274,72 @@ function validateSql(sql) {
   return { isValid: true };
 }
 
-// Helper function to extract fields from a SELECT statement
-// This is a very simplified approach - real SQL parsing would be better
-function extractFields(selectStatement) {
-  // Try to extract the part between SELECT and FROM
-  const selectFromMatch = selectStatement.match(/SELECT\s+(.+?)\s+FROM/i);
+// Check a single syntax tree node against the SQL rules
+// Returns a failed validation result, or null if the node is allowed
+function checkSqlNode(sql, node, path) {
+  if (node.type === 'function') {
+    const functionName = getFunctionName(node);
+    if (FORBIDDEN_FUNCTIONS.includes(functionName)) {
+      return {
+        isValid: false,
+        reason: `SQL contains forbidden function: ${functionName}`,
+        severity: 'high',
+        node: describeNode(sql, node, path)
+      };
+    }
+  }
   
-  if (!selectFromMatch) return [];
+  if (node.type === 'select') {
+    // SELECT ... INTO OUTFILE / DUMPFILE / @variable
+    if (node.into && node.into.expr) {
+      const target = node.into.keyword ? String(node.into.keyword).toUpperCase() : 'variable';
+      return {
+        isValid: false,
+        reason: `SQL contains forbidden command: INTO ${target}`,
+        severity: 'high',
+        node: describeNode(sql, node.into, `${path ? `${path}.` : ''}into`)
+      };
+    }
+    
+    // SELECT ... FOR UPDATE / LOCK IN SHARE MODE takes row locks
+    if (node.locking_read) {
+      return {
+        isValid: false,
+        reason: `SQL contains locking read: ${node.locking_read}`,
+        severity: 'medium',
+        node: describeNode(sql, node, path)
+      };
+    }
+    
+    // Every arm of a UNION must select the same number of columns
+    if (node._next && node.set_op) {
+      const leftCount = countSelectColumns(node);
+      const rightCount = countSelectColumns(node._next);
+      
+      if (leftCount !== null && rightCount !== null && leftCount !== rightCount) {
+        return {
+          isValid: false,
+          reason: `Suspicious ${String(node.set_op).toUpperCase()} with different field counts (${leftCount} and ${rightCount})`,
+          severity: 'high',
+          node: describeNode(sql, node._next, `${path ? `${path}.` : ''}_next`)
+        };
+      }
+    }
+  }
+  
+  return null;
+}
+
+// Count the columns a SELECT returns; null when it uses * and can't be known
+function countSelectColumns(select) {
+  const columns = select.columns;
+  
+  if (!Array.isArray(columns)) {
+    return null;
+  }
   
-  const fieldsStr = selectFromMatch[1];
-  // Split by commas, but respect parentheses (simple approach)
-  return fieldsStr.split(',').map(f => f.trim());
+  const hasStar = columns.some(column => column.expr && column.expr.type === 'column_ref' && column.expr.column === '*');
+  return hasStar ? null : columns.length;
 }
 
 /**
@@ -349,6 +444,7 @@ module.exports = {
   assessSensitiveDataRequest,
   isSchemaQuery,
   DANGEROUS_OPERATIONS,
+  FORBIDDEN_FUNCTIONS,
   INJECTION_PATTERNS,
   SENSITIVE_KEYWORDS
 };
\ No newline at end of file
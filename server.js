@@ -5,9 +5,13 @@ const dotenv = require('dotenv');
 const cors = require('cors');
 const path = require('path');
 const fs = require('fs').promises;
-const { processNaturalLanguage } = require('./nlToSqlConverter');
-const { executeQuery } = require('./dbConnector');
 const { ContextManager } = require('./contextManager');
+const { ToolRegistry } = require('./toolRegistry');
+const { processRequest } = require('./requestProcessor');
+const { attachIdentity } = require('./accessPolicy');
+const { identifyCaller } = require('./callerIdentity');
+const { registerSqlTools } = require('./sqlTools');
+const { registerDefaultMiddleware } = require('./toolMiddleware');
 const { applyToMySQLWorkbench } = require('./mysqlWorkbenchConnector');
 
 // Load environment variables
@@ -23,39 +27,66 @@ app.use(bodyParser.json());
 // Initialize context manager
 const contextManager = new ContextManager();
 
+// Tools used by the request pipeline, with the same security middleware as mcpServer.js
+const toolRegistry = new ToolRegistry();
+registerSqlTools(toolRegistry);
+registerDefaultMiddleware(toolRegistry);
+
+// Runs through the same pipeline as /api/v1/chat, so access policies, row filters,
+// masking, result limits and the cost guard all apply
 app.post('/query', async (req, res) => {
   try {
-    const { text, userId } = req.body;
+    const { text, confirmToken } = req.body;
     
-    if (!text || !userId) {
+    if (!text && !confirmToken) {
       return res.status(400).json({ 
         error: 'Missing required fields: text and userId' 
       });
     }
     
-    // Get user context
-    const userContext = contextManager.getUserContext(userId);
+    let userId;
+    try {
+      userId = identifyCaller(req, req.body.userId);
+    } catch (error) {
+      return res.status(error.code === 'USER_MISMATCH' ? 403 : 401).json({ error: error.message, code: error.code });
+    }
+    if (!userId) {
+      return res.status(400).json({ 
+        error: 'Missing required fields: text and userId' 
+      });
+    }
     
-    // Process natural language to SQL
-    const { sqlQuery, entities, intent } = await processNaturalLanguage(text, userContext);
+    // Get user context
+    const userContext = attachIdentity(await contextManager.getUserContext(userId), userId);
     
-    // Execute the SQL query
-    const results = await executeQuery(sqlQuery);
+    // Convert to SQL and execute it
+    const messages = text ? [{ role: 'user', content: text }] : [];
+    const response = await processRequest(messages, userContext, toolRegistry, { confirmToken });
+    const metadata = response.metadata || {};
     
     // Update user context with new information
-    contextManager.updateContext(userId, {
-      lastQuery: text,
-      lastSql: sqlQuery,
-      lastEntities: entities,
-      lastIntent: intent,
-      lastResult: results
+    await contextManager.saveContext(userId, userContext);
+    await contextManager.updateContext(userId, {
+      messageHistory: [
+        ...messages,
+        ...(response.content ? [{ role: 'assistant', content: response.content }] : [])
+      ]
     });
     
+    // Blocked, held back or failed queries have no results
+    if (!metadata.results) {
+      return res.status(metadata.security_alert ? 403 : 422).json({
+        error: response.content,
+        sqlQuery: metadata.sql_query,
+        details: metadata
+      });
+    }
+    
     // Return the results
     res.json({
-      sqlQuery, // For debugging/transparency
-      results,
-      context: userContext
+      sqlQuery: metadata.sql_query, // For debugging/transparency
+      results: metadata.results,
+      metadata
     });
   } catch (error) {
     console.error('Error processing query:', error);
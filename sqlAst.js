@@ -0,0 +1,500 @@
+// File: sqlAst.js
+/**
+ * SQL syntax tree helpers for MCP server
+ * Wraps node-sql-parser (MySQL dialect) so security checks and rewrites
+ * can work on the structure of a query instead of its text
+ */
+const { Parser } = require('node-sql-parser');
+
+const parser = new Parser();
+const PARSER_OPTIONS = {
+  database: 'MySQL',
+  parseOptions: { includeLocations: true }
+};
+
+// MySQL runs the contents of executable comments (/*! ... */, and MariaDB's /*M! ... */)
+// and reads optimizer hints (/*+ ... */), but the parser skips them as plain comments,
+// so the tree would not be the statement that executes
+const EXECUTABLE_COMMENT = /\/\*(?:!|\+|M!)/i;
+
+/**
+ * Parses SQL into a list of statement syntax trees
+ * SQL with executable comments or optimizer hints is refused, with error.code
+ * 'EXECUTABLE_COMMENT', because the parser would not see what MySQL runs.
+ * @param {string} sql The SQL text
+ * @returns {Array} One syntax tree per statement
+ * @throws {Error} With a `location` property when the SQL can't be parsed
+ */
+function parseSql(sql) {
+  if (EXECUTABLE_COMMENT.test(sql)) {
+    const error = new Error('SQL contains an executable comment or optimizer hint (/*! */, /*+ */), which is not allowed');
+    error.code = 'EXECUTABLE_COMMENT';
+    error.location = null;
+    throw error;
+  }
+
+  try {
+    const ast = parser.astify(sql, PARSER_OPTIONS);
+    // A trailing semicolon produces an empty statement at the end
+    return (Array.isArray(ast) ? ast : [ast]).filter(Boolean);
+  } catch (error) {
+    const parseError = new Error(`SQL could not be parsed: ${error.message}`);
+    parseError.location = error.location || null;
+    throw parseError;
+  }
+}
+
+/**
+ * Converts a syntax tree back into MySQL SQL text
+ * @param {Object} ast The statement syntax tree
+ * @returns {string} SQL text
+ */
+function toSql(ast) {
+  return parser.sqlify(ast, PARSER_OPTIONS);
+}
+
+/**
+ * Visits every object node of a syntax tree depth-first
+ * Subqueries, CTEs and UNION arms are reached like any other child node
+ * @param {Object} node The node to start from
+ * @param {Function} visitor Called with (node, path, parent); return false to skip children
+ * @param {string} path Path of the node from the root, e.g. "columns[1].expr"
+ */
+function walkAst(node, visitor, path = '', parent = null) {
+  if (!node || typeof node !== 'object') return;
+
+  if (Array.isArray(node)) {
+    node.forEach((child, index) => walkAst(child, visitor, `${path}[${index}]`, parent));
+    return;
+  }
+
+  if (visitor(node, path, parent) === false) return;
+
+  for (const [key, child] of Object.entries(node)) {
+    // Locations are metadata, not part of the query
+    if (key === 'loc' || !child || typeof child !== 'object') continue;
+    walkAst(child, visitor, path ? `${path}.${key}` : key, node);
+  }
+}
+
+/**
+ * Calls fn for every SELECT statement in the tree, including subqueries,
+ * CTE bodies and UNION arms
+ * @param {Object} ast The statement syntax tree
+ * @param {Function} fn Called with (selectNode, path)
+ */
+function forEachSelect(ast, fn) {
+  walkAst(ast, (node, path) => {
+    if (node.type === 'select') {
+      fn(node, path);
+    }
+  });
+}
+
+/**
+ * Returns the plain name of an identifier, which the parser gives either as
+ * a string or as a quoted-string node
+ * @param {string|Object} value The identifier
+ * @returns {string|null} The name
+ */
+function identifierName(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value;
+  if (value.expr) return identifierName(value.expr);
+  if (value.value !== undefined) return String(value.value);
+  return null;
+}
+
+/**
+ * Collects the lower-cased names of all CTEs defined in a statement
+ * @param {Object} ast The statement syntax tree
+ * @returns {Set} CTE names
+ */
+function collectCteNames(ast) {
+  const cteNames = new Set();
+  forEachSelect(ast, select => {
+    for (const cte of select.with || []) {
+      const name = identifierName(cte.name);
+      if (name) cteNames.add(name.toLowerCase());
+    }
+  });
+  return cteNames;
+}
+
+/**
+ * Collects the base tables referenced anywhere in a statement
+ * CTE names are excluded, since they are not real tables
+ * @param {Object} ast The statement syntax tree
+ * @returns {Array} Objects with db, table, alias, node and path
+ */
+function getTableReferences(ast) {
+  const cteNames = collectCteNames(ast);
+
+  const references = [];
+  forEachSelect(ast, (select, path) => {
+    (select.from || []).forEach((from, index) => {
+      if (!from.table || (!from.db && cteNames.has(from.table.toLowerCase()))) return;
+
+      references.push({
+        db: from.db || null,
+        table: from.table,
+        alias: from.as || null,
+        node: from,
+        path: `${path ? `${path}.` : ''}from[${index}]`
+      });
+    });
+  });
+
+  return references;
+}
+
+/**
+ * Resolves every column reference in a statement to the base table it reads
+ * Aliases, subqueries, CTEs and UNION arms are scoped the way MySQL scopes them.
+ * A column of "*" means all columns of the table.
+ * @param {Object} ast The statement syntax tree
+ * @param {Object} schema Optional schema from getDatabaseSchema(), used to resolve unqualified columns
+ * @returns {Array} Objects with db, table, column, node and path
+ */
+function resolveColumnReferences(ast, schema = null) {
+  const cteNames = collectCteNames(ast);
+  const references = [];
+
+  const childPath = (path, key) => (path ? `${path}.${key}` : key);
+
+  function visitSelect(select, selectPath, outerScopes) {
+    const scope = { tables: new Map(), outputAliases: new Set() };
+
+    for (const from of select.from || []) {
+      const alias = identifierName(from.as);
+      const isBaseTable = from.table && (from.db || !cteNames.has(from.table.toLowerCase()));
+      const key = (alias || from.table || '').toLowerCase();
+      if (!key) continue;
+
+      scope.tables.set(key, isBaseTable
+        ? { db: from.db || null, table: from.table }
+        : { derived: true });
+    }
+
+    for (const column of Array.isArray(select.columns) ? select.columns : []) {
+      const alias = identifierName(column.as);
+      if (alias) scope.outputAliases.add(alias.toLowerCase());
+    }
+
+    const scopes = [scope, ...outerScopes];
+    const unionPath = childPath(selectPath, '_next');
+    const withPath = childPath(selectPath, 'with');
+
+    walkAst(select, (node, path) => {
+      if (node !== select && node.type === 'select') {
+        // UNION arms and CTE bodies don't see this SELECT's tables
+        const isSibling = path === unionPath || path.startsWith(withPath);
+        visitSelect(node, path, isSibling ? outerScopes : scopes);
+        return false;
+      }
+
+      if (node.type === 'column_ref') {
+        resolveColumn(node, path, scopes);
+        return false;
+      }
+    }, selectPath);
+  }
+
+  function resolveColumn(node, path, scopes) {
+    const column = identifierName(node.column);
+    const qualifier = identifierName(node.table);
+    if (!column) return;
+
+    if (qualifier) {
+      for (const scope of scopes) {
+        const entry = scope.tables.get(qualifier.toLowerCase());
+        if (entry) {
+          if (!entry.derived) {
+            references.push({ db: entry.db, table: entry.table, column, node, path });
+          }
+          return;
+        }
+      }
+      // Unknown qualifier: report it as written so nothing slips through unchecked
+      references.push({ db: null, table: qualifier, column, node, path });
+      return;
+    }
+
+    const baseTables = scope => [...scope.tables.values()].filter(entry => !entry.derived);
+
+    if (column === '*') {
+      for (const entry of baseTables(scopes[0])) {
+        references.push({ db: entry.db, table: entry.table, column, node, path });
+      }
+      return;
+    }
+
+    if (schema) {
+      // The innermost scope with a table that has this column wins
+      for (const scope of scopes) {
+        const candidates = baseTables(scope).filter(entry => tableHasColumn(schema, entry.table, column));
+        if (candidates.length > 0) {
+          for (const entry of candidates) {
+            references.push({ db: entry.db, table: entry.table, column, node, path });
+          }
+          return;
+        }
+      }
+      // Not a table column: a SELECT alias or a column of a derived table
+      return;
+    }
+
+    if (scopes[0].outputAliases.has(column.toLowerCase())) return;
+
+    for (const entry of baseTables(scopes[0])) {
+      references.push({ db: entry.db, table: entry.table, column, node, path });
+    }
+  }
+
+  visitSelect(ast, '', []);
+  return references;
+}
+
+/**
+ * Traces each output column of a statement back to the base table columns its
+ * value is computed from, through expressions, aliases, derived tables, CTEs,
+ * scalar subqueries and UNION arms (merged by position)
+ * @param {Object} ast The statement syntax tree
+ * @param {Object} schema Optional schema from getDatabaseSchema(), used to expand * and
+ *   to resolve unqualified columns
+ * @returns {Array|null} One { name, sources } per output column, where name is null for
+ *   unaliased expressions and sources lists { db, table, column }; null if the columns
+ *   can't be worked out, e.g. * without a schema
+ */
+function resolveOutputColumns(ast, schema = null) {
+  const sameName = (a, b) => Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+
+  // Output columns of a SELECT and the UNION arms after it, or null
+  function selectOutputs(select, outerScopes, ctes) {
+    const visibleCtes = new Map(ctes);
+    for (const cte of select.with || []) {
+      const name = identifierName(cte.name);
+      if (!name || !cte.stmt || !cte.stmt.ast) return null;
+
+      // A recursive CTE sees itself with no known columns; its anchor arm supplies them
+      visibleCtes.set(name.toLowerCase(), []);
+      let outputs = selectOutputs(cte.stmt.ast, [], visibleCtes);
+      if (!outputs) return null;
+
+      if (Array.isArray(cte.columns) && cte.columns.length > 0) {
+        outputs = outputs.map((output, i) => ({ ...output, name: identifierName(cte.columns[i] && cte.columns[i].column) || output.name }));
+      }
+      visibleCtes.set(name.toLowerCase(), outputs);
+    }
+
+    const outputs = armOutputs(select, outerScopes, visibleCtes);
+    if (!outputs) return null;
+
+    // Later UNION arms add their sources to the column at the same position
+    for (let arm = select._next; arm; arm = arm._next) {
+      const armColumns = armOutputs(arm, outerScopes, visibleCtes);
+      if (!armColumns) return null;
+
+      armColumns.forEach((column, i) => {
+        if (outputs[i]) outputs[i].sources.push(...column.sources);
+      });
+    }
+
+    return outputs;
+  }
+
+  // Output columns of a single SELECT, without the UNION arms after it
+  function armOutputs(select, outerScopes, ctes) {
+    if (!Array.isArray(select.columns)) return null;
+
+    // Alias -> { db, table } for base tables, or { outputs } for derived tables and CTEs
+    const scope = new Map();
+    for (const from of select.from || []) {
+      let entry;
+      if (from.expr && from.expr.ast) {
+        const outputs = selectOutputs(from.expr.ast, outerScopes, ctes);
+        if (!outputs) return null;
+        entry = { outputs };
+      } else if (from.table) {
+        const cte = !from.db && ctes.get(from.table.toLowerCase());
+        entry = cte ? { outputs: cte } : { db: from.db || null, table: from.table };
+      } else {
+        continue;
+      }
+      scope.set((identifierName(from.as) || from.table || '').toLowerCase(), entry);
+    }
+
+    const scopes = [scope, ...outerScopes];
+    const outputs = [];
+
+    for (const column of select.columns) {
+      const expr = column.expr || {};
+      const alias = identifierName(column.as);
+
+      if (expr.type === 'column_ref' && identifierName(expr.column) === '*') {
+        const expanded = expandStar(scope, identifierName(expr.table));
+        if (!expanded) return null;
+        outputs.push(...expanded);
+        continue;
+      }
+
+      const sources = expressionSources(expr, scopes, ctes);
+      if (!sources) return null;
+
+      const name = alias || (expr.type === 'column_ref' ? identifierName(expr.column) : null);
+      outputs.push({ name, sources });
+    }
+
+    return outputs;
+  }
+
+  function expandStar(scope, qualifier) {
+    const expanded = [];
+    for (const [key, entry] of scope) {
+      if (qualifier && key !== qualifier.toLowerCase()) continue;
+
+      if (entry.outputs) {
+        expanded.push(...entry.outputs.map(output => ({ name: output.name, sources: [...output.sources] })));
+        continue;
+      }
+
+      const schemaTable = entry.db ? null : findSchemaTable(schema, entry.table);
+      if (!schemaTable) return null;
+      for (const { name } of schemaTable.columns) {
+        expanded.push({ name, sources: [{ db: entry.db, table: entry.table, column: name }] });
+      }
+    }
+    return expanded.length > 0 ? expanded : null;
+  }
+
+  // Base columns an expression reads; subqueries contribute all of their output columns
+  function expressionSources(expr, scopes, ctes) {
+    const sources = [];
+    let resolved = true;
+
+    walkAst(expr, node => {
+      if (!resolved) return false;
+
+      if (node.type === 'select') {
+        const outputs = selectOutputs(node, scopes, ctes);
+        if (!outputs) resolved = false;
+        else outputs.forEach(output => sources.push(...output.sources));
+        return false;
+      }
+
+      if (node.type === 'column_ref') {
+        sources.push(...columnSources(identifierName(node.table), identifierName(node.column), scopes));
+        return false;
+      }
+    });
+
+    return resolved ? sources : null;
+  }
+
+  function columnSources(qualifier, column, scopes) {
+    if (!column) return [];
+
+    const fromEntry = (entry) => {
+      if (entry.outputs) {
+        return entry.outputs.filter(output => sameName(output.name, column)).flatMap(output => output.sources);
+      }
+      return [{ db: entry.db, table: entry.table, column }];
+    };
+
+    if (qualifier) {
+      for (const scope of scopes) {
+        const entry = scope.get(qualifier.toLowerCase());
+        if (entry) return fromEntry(entry);
+      }
+      return [{ db: null, table: qualifier, column }];
+    }
+
+    // The innermost scope with a matching column wins; without a schema every base table may hold it
+    for (const scope of scopes) {
+      const sources = [];
+      for (const entry of scope.values()) {
+        if (entry.outputs || !schema || tableHasColumn(schema, entry.table, column)) {
+          sources.push(...fromEntry(entry));
+        }
+      }
+      if (sources.length > 0) return sources;
+    }
+    return [];
+  }
+
+  return selectOutputs(ast, [], new Map());
+}
+
+// Check whether a schema table has a column, ignoring case
+function tableHasColumn(schema, tableName, columnName) {
+  const table = findSchemaTable(schema, tableName);
+  return Boolean(table && table.columns.some(c => c.name.toLowerCase() === columnName.toLowerCase()));
+}
+
+/**
+ * Looks up a table in a schema from getDatabaseSchema(), ignoring case
+ * @param {Object} schema The schema
+ * @param {string} tableName The table name
+ * @returns {Object|null} The schema table
+ */
+function findSchemaTable(schema, tableName) {
+  if (!schema || !tableName) return null;
+  if (schema[tableName]) return schema[tableName];
+
+  const lowerName = tableName.toLowerCase();
+  const key = Object.keys(schema).find(name => name.toLowerCase() === lowerName);
+  return key ? schema[key] : null;
+}
+
+/**
+ * Returns the name of a function call node, upper-cased
+ * @param {Object} node A node of type "function"
+ * @returns {string} The function name, e.g. "SLEEP"
+ */
+function getFunctionName(node) {
+  const name = node.name;
+  if (typeof name === 'string') return name.toUpperCase();
+  if (name && Array.isArray(name.name)) {
+    return name.name.map(part => part.value).join('.').toUpperCase();
+  }
+  return '';
+}
+
+/**
+ * Describes a node for error reporting: where it is in the tree and in the text
+ * @param {string} sql The original SQL text
+ * @param {Object} node The offending node
+ * @param {string} path Path of the node in the tree
+ * @returns {Object} Node description with type, path, location and source text
+ */
+function describeNode(sql, node, path) {
+  const description = {
+    type: node.type || null,
+    path
+  };
+
+  if (node.loc) {
+    description.location = {
+      line: node.loc.start.line,
+      column: node.loc.start.column
+    };
+    description.text = sql.substring(node.loc.start.offset, node.loc.end.offset).trim();
+  }
+
+  return description;
+}
+
+module.exports = {
+  parseSql,
+  toSql,
+  walkAst,
+  forEachSelect,
+  getTableReferences,
+  collectCteNames,
+  resolveColumnReferences,
+  resolveOutputColumns,
+  findSchemaTable,
+  identifierName,
+  getFunctionName,
+  describeNode
+};
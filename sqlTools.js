@@ -0,0 +1,173 @@
+// File: sqlTools.js
+/**
+ * SQL tools shared by every MCP server entry point
+ * The REST API and the MCP JSON-RPC transports register the same tools, so a
+ * tool behaves identically however a client reaches it.
+ */
+const { processNaturalLanguage } = require('./nlToSqlConverter');
+const { getCachedSchema } = require('./dbConnector');
+const { validateSql } = require('./securityFilter');
+const { applyRowFilters } = require('./rowSecurity');
+const { executeLimitedQuery } = require('./resultLimits');
+const { assessQueryCost } = require('./costGuard');
+const { applyToMySQLWorkbench } = require('./mysqlWorkbenchConnector');
+const { filterSchemaForRole } = require('./accessPolicy');
+const { describeTable } = require('./schemaResources');
+
+/**
+ * Registers sql_generator, sql_executor, schema_inspector and workbench_export
+ * @param {ToolRegistry} toolRegistry The registry to add the tools to
+ * @returns {ToolRegistry} The same registry
+ */
+function registerSqlTools(toolRegistry) {
+  toolRegistry.registerTool('sql_generator', {
+    description: 'Converts natural language to SQL',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: {
+          type: 'string',
+          description: 'The natural language query to convert to SQL',
+          format: 'natural-language',
+          minLength: 1
+        }
+      },
+      required: ['query'],
+      additionalProperties: false
+    },
+    execute: async (params, context) => {
+      const result = await processNaturalLanguage(params.query, {
+        lastQuery: context.lastQuery,
+        lastSql: context.lastSql,
+        accessRole: context.accessRole
+      });
+      return result;
+    }
+  });
+
+  toolRegistry.registerTool('sql_executor', {
+    description: 'Executes SQL queries against the database',
+    parameters: {
+      type: 'object',
+      properties: {
+        sql: {
+          type: 'string',
+          description: 'The SQL query to execute',
+          format: 'sql',
+          minLength: 1
+        },
+        maxRows: {
+          type: 'integer',
+          description: 'Optional row limit, capped by the server ceiling',
+          minimum: 1
+        },
+        confirmCost: {
+          type: 'boolean',
+          description: 'Run the query even if the cost guard asks for confirmation'
+        }
+      },
+      required: ['sql'],
+      additionalProperties: false
+    },
+    execute: async (params, context, execution) => {
+      execution.reportProgress(0, 3, 'Checking the query');
+
+      // Enforce the caller's access policy on SQL it sent directly; the input-security
+      // middleware checks this too, but the tool must stay safe in a bare registry
+      const validation = validateSql(params.sql, {
+        role: context.accessRole,
+        schema: await getCachedSchema()
+      });
+
+      if (!validation.isValid) {
+        throw new Error(`SQL rejected: ${validation.reason}`);
+      }
+
+      // Restrict every table to the caller's rows
+      const { sql } = applyRowFilters(params.sql, context.identity);
+
+      // Refuse expensive queries unless the caller confirmed them (and confirmation is allowed)
+      execution.reportProgress(1, 3, 'Estimating the query cost');
+      const costAssessment = await assessQueryCost(sql, { signal: execution.signal });
+      if (!costAssessment.allowed && !(costAssessment.action === 'confirm' && params.confirmCost)) {
+        throw new Error(`Query looks too expensive: it ${costAssessment.reasons.join('; ')}`);
+      }
+
+      // The result-masking middleware masks PII before the results leave the registry
+      execution.reportProgress(2, 3, 'Running the query');
+      const results = await executeLimitedQuery(sql, { maxRows: params.maxRows, signal: execution.signal });
+      execution.reportProgress(3, 3, `Fetched ${results.rowCount} rows`);
+      return results;
+    }
+  });
+
+  toolRegistry.registerTool('schema_inspector', {
+    description: 'Lists the tables the caller may read, or describes the columns, keys and comments of one table',
+    parameters: {
+      type: 'object',
+      properties: {
+        table: {
+          type: 'string',
+          description: 'Table to describe; omit to list all tables',
+          minLength: 1
+        }
+      },
+      additionalProperties: false
+    },
+    execute: async (params, context) => {
+      const schema = filterSchemaForRole(await getCachedSchema(), context.accessRole);
+
+      if (!params.table) {
+        return {
+          tables: Object.values(schema).map(table => ({
+            name: table.name,
+            rowEstimate: table.rowEstimate,
+            comment: table.comment
+          }))
+        };
+      }
+
+      const table = schema[params.table];
+      if (!table) {
+        throw new Error(`Unknown table: ${params.table}`);
+      }
+      return describeTable(table);
+    }
+  });
+
+  toolRegistry.registerTool('workbench_export', {
+    description: 'Exports SQL to MySQL Workbench',
+    parameters: {
+      type: 'object',
+      properties: {
+        sql: {
+          type: 'string',
+          description: 'The SQL query to export',
+          format: 'sql',
+          minLength: 1
+        },
+        scriptName: {
+          type: 'string',
+          description: 'Optional script file name, without directories',
+          // A plain file name, so the script can't be written outside the scripts directory
+          pattern: '^[A-Za-z0-9_][A-Za-z0-9_. -]*$',
+          maxLength: 255
+        }
+      },
+      required: ['sql'],
+      additionalProperties: false
+    },
+    execute: async (params, context, execution) => {
+      execution.reportProgress(0, 1, 'Saving the script');
+      const result = await applyToMySQLWorkbench(params.sql, params.scriptName, { signal: execution.signal });
+      execution.reportProgress(1, 1, result.method === 'direct_execution' ? 'Script saved and executed' : 'Script saved');
+      return result;
+    }
+  });
+
+  return toolRegistry;
+}
+
+module.exports = {
+  registerSqlTools
+};
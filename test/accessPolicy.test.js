@@ -0,0 +1,77 @@
+// File: test/accessPolicy.test.js
+// Per-role table and column access checks on parsed SQL
+const path = require('path');
+
+process.env.ACCESS_POLICY_FILE = path.join(__dirname, 'fixtures', 'accessPolicy.json');
+
+const { resolveIdentity, checkSqlAccess, canUseTool, canRefreshSchema } = require('../accessPolicy');
+const { parseSql } = require('../sqlAst');
+const { TABLES } = require('./helpers/fakeDatabase');
+
+// The test tables in the shape getDatabaseSchema() returns, as far as the checks read it
+const schema = Object.fromEntries(Object.entries(TABLES).map(([table, columns]) => [
+  table,
+  { columns: columns.map(([name]) => ({ name })) }
+]));
+
+function check(sql, role, withSchema = schema) {
+  return checkSqlAccess(sql, parseSql(sql)[0], role, withSchema);
+}
+
+describe('resolveIdentity', () => {
+  test('reads the role and attributes of a user, and the default role for others', () => {
+    expect(resolveIdentity('bob')).toEqual({ userId: 'bob', role: 'analyst', tenantId: 7 });
+    expect(resolveIdentity('alice').role).toBe('admin');
+    expect(resolveIdentity('stranger').role).toBe('analyst');
+  });
+});
+
+describe('checkSqlAccess', () => {
+  test('allows the columns a role may read', () => {
+    expect(check('SELECT u.name, o.total FROM users u JOIN orders o ON o.user_id = u.id', 'analyst')).toBeNull();
+  });
+
+  test('denies a column wherever it appears', () => {
+    expect(check('SELECT name FROM users WHERE password = ?', 'analyst')).toMatchObject({
+      isValid: false,
+      policyViolation: true,
+      reason: 'Access to column users.password is denied for role analyst'
+    });
+    expect(check('SELECT id FROM orders WHERE user_id IN (SELECT id FROM users WHERE password LIKE ?)', 'analyst')).not.toBeNull();
+    expect(check('SELECT name, password FROM users', 'admin')).toBeNull();
+  });
+
+  test('denies SELECT * when the star covers a denied column', () => {
+    expect(check('SELECT * FROM users', 'analyst').reason).toMatch(/would read column password/);
+    expect(check('SELECT * FROM orders', 'analyst')).toBeNull();
+  });
+
+  test('checks the columns of JOIN ... USING', () => {
+    const violation = check('SELECT name FROM users u1 JOIN users u2 USING (password)', 'analyst');
+
+    expect(violation.reason).toBe('Access to column users.password is denied for role analyst');
+    expect(violation.node.path).toBe('from[1].using[0]');
+    expect(check('SELECT name FROM users u1 JOIN users u2 USING (password)', 'analyst', null)).not.toBeNull();
+    expect(check('SELECT u.name FROM orders o JOIN users u USING (tenant_id)', 'analyst')).toBeNull();
+  });
+
+  test('refuses unknown roles', () => {
+    expect(check('SELECT id FROM users', 'intern').reason).toBe('Unknown access role: intern');
+  });
+});
+
+describe('canUseTool', () => {
+  test('limits a role to its tool list', () => {
+    expect(canUseTool('analyst', 'sql_executor')).toBe(true);
+    expect(canUseTool('analyst', 'workbench_export')).toBe(false);
+    expect(canUseTool('admin', 'workbench_export')).toBe(true);
+  });
+});
+
+describe('canRefreshSchema', () => {
+  test('is only allowed for roles with schemaRefresh', () => {
+    expect(canRefreshSchema('admin')).toBe(true);
+    expect(canRefreshSchema('analyst')).toBe(false);
+    expect(canRefreshSchema(null)).toBe(false);
+  });
+});
@@ -0,0 +1,66 @@
+// File: test/contextManager.test.js
+// Message history trimming, with pinned and system messages
+const { ContextManager } = require('../contextManager');
+const { MemoryContextStore } = require('../contextStore');
+
+// One token per character keeps the budgets easy to follow; each message also costs 4 tokens of overhead
+function createManager(options = {}) {
+  return new ContextManager({
+    store: new MemoryContextStore(),
+    countTokens: text => text.length,
+    summaryBatchSize: 0,
+    embeddings: null,
+    ...options
+  });
+}
+
+const message = (content, extra = {}) => ({ role: 'user', content, ...extra });
+
+describe('trimMessages', () => {
+  test('drops the oldest messages first and always keeps the newest', () => {
+    const manager = createManager();
+    const { messages, evicted, tokenCount } = manager.trimMessages([message('a'.repeat(20)), message('b'.repeat(20)), message('c'.repeat(60))], 50);
+
+    expect(messages.map(m => m.content[0])).toEqual(['c']);
+    expect(evicted).toHaveLength(2);
+    expect(tokenCount).toBe(64);
+  });
+
+  test('keeps pinned and system messages within their share of the budget', () => {
+    const manager = createManager();
+    const system = { role: 'system', content: 's'.repeat(16) };
+    const { messages } = manager.trimMessages([system, message('a'.repeat(36)), message('b'.repeat(36))], 70);
+
+    expect(messages).toEqual([system, message('b'.repeat(36))]);
+  });
+
+  test('trims pinned messages beyond their share like any other', () => {
+    const manager = createManager({ maxMessageHistory: 6 });
+    const pinned = Array.from({ length: 7 }, (_, i) => message(`pinned ${i}`, { pinned: true }));
+    const { messages } = manager.trimMessages([...pinned, message('latest')], 1000);
+
+    // Half of maxMessageHistory stays pinned; the newest message is kept as always
+    expect(messages.map(m => m.content)).toEqual(['pinned 0', 'pinned 1', 'pinned 2', 'pinned 5', 'pinned 6', 'latest']);
+  });
+
+  test('does not let a single oversized pinned message hold the budget', () => {
+    const manager = createManager();
+    const { messages } = manager.trimMessages([message('x'.repeat(200), { pinned: true }), message('question')], 100);
+
+    expect(messages).toEqual([message('question')]);
+  });
+});
+
+describe('updateContext', () => {
+  test('keeps the history bounded when a client pins every message', async () => {
+    const manager = createManager({ maxContextSize: 200, maxMessageHistory: 10 });
+
+    for (let i = 0; i < 30; i++) {
+      await manager.updateContext('user', { messageHistory: [message(`question ${i}`, { pinned: true })] });
+    }
+
+    const context = await manager.getUserContext('user');
+    expect(context.messageHistory.length).toBeLessThanOrEqual(10);
+    expect(context.contextSize).toBeLessThanOrEqual(200);
+  });
+});
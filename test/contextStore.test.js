@@ -0,0 +1,90 @@
+// File: test/contextStore.test.js
+// Context stores: file names and lock expiry, which all stores share
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.CONTEXT_LOCK_TTL = '200';
+
+const { MemoryContextStore, FileContextStore } = require('../contextStore');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+beforeEach(() => jest.spyOn(console, 'warn').mockImplementation(() => {}));
+afterEach(() => console.warn.mockRestore());
+
+describe('MemoryContextStore locks', () => {
+  test('pass to the next caller once the holder has kept them past the TTL', async () => {
+    const store = new MemoryContextStore();
+    const abandoned = await store.lock('user');
+
+    const startedAt = Date.now();
+    const release = await store.lock('user');
+
+    expect(Date.now() - startedAt).toBeGreaterThanOrEqual(190);
+    expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(/held longer than 200 ms/));
+
+    // The late release of the first holder doesn't free the lock for a third caller
+    abandoned();
+    let thirdHasLock = false;
+    const third = store.lock('user').then(releaseThird => {
+      thirdHasLock = true;
+      return releaseThird;
+    });
+    await sleep(50);
+    expect(thirdHasLock).toBe(false);
+
+    release();
+    (await third)();
+    expect(thirdHasLock).toBe(true);
+  });
+});
+
+describe('FileContextStore', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'contexts-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('stores keys of any length under short file names', async () => {
+    const store = new FileContextStore({ dir });
+    const key = `session-${'x'.repeat(400)}`;
+
+    await store.set(key, 'value', 60 * 1000);
+
+    expect(await store.get(key)).toBe('value');
+    expect(await store.keys()).toEqual([key]);
+    expect(fs.readdirSync(dir)).toEqual([expect.stringMatching(/^[0-9a-f]{64}\.json$/)]);
+  });
+
+  test('sweeps expired files', async () => {
+    const store = new FileContextStore({ dir });
+    await store.set('old', 'value', 1);
+    await store.set('new', 'value', 60 * 1000);
+    await sleep(5);
+
+    await store.sweep();
+
+    expect(await store.keys()).toEqual(['new']);
+  });
+
+  test('lets a stale lock be taken over, and the old holder release only its own lock', async () => {
+    // Two stores on one directory stand for two processes
+    const first = new FileContextStore({ dir });
+    const second = new FileContextStore({ dir });
+
+    const releaseFirst = await first.lock('user');
+    const releaseSecond = await second.lock('user');
+
+    await releaseFirst();
+    expect(fs.readdirSync(dir).filter(file => file.endsWith('.lock'))).toHaveLength(1);
+
+    await releaseSecond();
+    expect(fs.readdirSync(dir).filter(file => file.endsWith('.lock'))).toHaveLength(0);
+  });
+});
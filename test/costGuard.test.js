@@ -0,0 +1,118 @@
+// File: test/costGuard.test.js
+// The cost guard: EXPLAIN estimates, and confirmation of held-back queries
+const path = require('path');
+
+process.env.ACCESS_POLICY_FILE = path.join(__dirname, 'fixtures', 'accessPolicy.json');
+process.env.LLM_PROVIDER = 'mock';
+
+jest.mock('mysql2/promise', () => ({ createPool: () => require('./helpers/fakeDatabase').pool }));
+
+const { assessQueryCost, summarizePlan } = require('../costGuard');
+const { attachIdentity } = require('../accessPolicy');
+const { MockProvider, setLLMProvider } = require('../llmProvider');
+const { processRequest } = require('../requestProcessor');
+const database = require('./helpers/fakeDatabase');
+
+// A plan that scans a large table, then joins a second one for every row
+const EXPENSIVE_PLAN = {
+  query_block: {
+    select_id: 1,
+    cost_info: { query_cost: '912345.10' },
+    nested_loop: [
+      { table: { table_name: 'users', access_type: 'ALL', rows_examined_per_scan: 200000, rows_produced_per_join: 200000 } },
+      { table: { table_name: 'orders', access_type: 'ALL', rows_examined_per_scan: 50 } }
+    ]
+  }
+};
+
+describe('summarizePlan', () => {
+  test('multiplies the rows of joined tables and reports large full scans', () => {
+    expect(summarizePlan(EXPENSIVE_PLAN)).toEqual({
+      queryCost: 912345.1,
+      rowsExamined: 200000 + 200000 * 50,
+      fullScans: [{ table: 'users', rows: 200000 }],
+      usingFilesort: false,
+      usingTemporary: false
+    });
+  });
+});
+
+describe('assessQueryCost', () => {
+  beforeEach(() => database.reset());
+
+  test('lets cheap queries run', async () => {
+    const assessment = await assessQueryCost('SELECT `id` FROM `users` LIMIT 10');
+
+    expect(assessment).toMatchObject({ allowed: true, action: 'execute', reasons: [] });
+    expect(database.state.queries).toEqual(['EXPLAIN FORMAT=JSON SELECT `id` FROM `users` LIMIT 10']);
+  });
+
+  test('asks for confirmation of expensive queries', async () => {
+    database.state.plan = EXPENSIVE_PLAN;
+    const assessment = await assessQueryCost('SELECT * FROM `users` JOIN `orders`');
+
+    expect(assessment.allowed).toBe(false);
+    expect(assessment.action).toBe('confirm');
+    expect(assessment.reasons).toEqual([
+      'examines an estimated 10200000 rows (limit 1000000)',
+      'scans the whole users table (about 200000 rows)'
+    ]);
+  });
+});
+
+describe('confirming a held-back query', () => {
+  const question = [{ role: 'user', content: 'How many users are there?' }];
+
+  beforeEach(() => {
+    database.reset();
+    database.state.respond = () => ({ rows: [{ user_count: 3 }], fields: [database.field('user_count')] });
+    setLLMProvider(new MockProvider());
+  });
+
+  async function holdBack(userId) {
+    database.state.plan = EXPENSIVE_PLAN;
+    const response = await processRequest(question, attachIdentity({}, userId), null);
+    database.state.plan = null;
+    database.state.queries = [];
+    return response;
+  }
+
+  test('holds an expensive query back and runs it once confirmed', async () => {
+    const held = await holdBack('bob');
+
+    expect(held.metadata.requires_confirmation).toBe(true);
+    expect(held.metadata.results).toBeUndefined();
+
+    const confirmed = await processRequest([], attachIdentity({}, 'bob'), null, { confirmToken: held.metadata.confirmation_token });
+
+    expect(confirmed.metadata.results.rows).toEqual([{ user_count: 3 }]);
+    // A confirmed query skips the cost check
+    expect(database.state.queries).toHaveLength(1);
+    expect(database.state.queries[0]).toMatch(/^SELECT COUNT\(\*\) AS `user_count` FROM `users`/);
+  });
+
+  test('accepts a token only once, and only from the user it was issued to', async () => {
+    const held = await holdBack('bob');
+    const token = held.metadata.confirmation_token;
+
+    const stolen = await processRequest([], attachIdentity({}, 'carol'), null, { confirmToken: token });
+    expect(stolen.metadata.error).toBe('Unknown confirmation token');
+
+    await processRequest([], attachIdentity({}, 'bob'), null, { confirmToken: token });
+    const replayed = await processRequest([], attachIdentity({}, 'bob'), null, { confirmToken: token });
+    expect(replayed.metadata.error).toBe('Unknown confirmation token');
+  });
+
+  test('validates the query again against the caller\'s current role', async () => {
+    const held = await holdBack('bob');
+    const context = attachIdentity({}, 'bob');
+    context.accessRole = 'suspended';
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const response = await processRequest([], context, null, { confirmToken: held.metadata.confirmation_token });
+
+    expect(response.metadata.security_alert.type).toBe('access_policy');
+    expect(database.state.queries).toHaveLength(0);
+    console.warn.mockRestore();
+  });
+});
@@ -0,0 +1,120 @@
+// File: test/helpers/fakeDatabase.js
+/**
+ * In-memory stand-in for the mysql2 connection pool
+ * Tests replace mysql2/promise with it, so the pipeline runs without MySQL:
+ *
+ *   jest.mock('mysql2/promise', () => ({ createPool: () => require('./helpers/fakeDatabase').pool }));
+ *
+ * Schema queries are answered from TABLES, and session statements (SET,
+ * transactions, KILL) succeed. Every other statement is recorded in
+ * state.queries and answered by state.respond(sql), which tests set per case.
+ */
+
+// Table name -> [column name, column type, column key]
+const TABLES = {
+  users: [
+    ['id', 'int', 'PRI'],
+    ['name', 'varchar(255)'],
+    ['email', 'varchar(255)'],
+    ['password', 'varchar(255)'],
+    ['tenant_id', 'int'],
+    ['created_at', 'datetime']
+  ],
+  orders: [
+    ['id', 'int', 'PRI'],
+    ['user_id', 'int'],
+    ['tenant_id', 'int'],
+    ['total', 'decimal(10,2)'],
+    ['created_at', 'datetime']
+  ],
+  products: [
+    ['id', 'int', 'PRI'],
+    ['name', 'varchar(255)'],
+    ['price', 'decimal(10,2)']
+  ]
+};
+
+// Plan returned for EXPLAIN FORMAT=JSON unless a test sets state.plan
+const EMPTY_PLAN = { query_block: { select_id: 1 } };
+
+const state = {
+  queries: [],
+  respond: null,
+  plan: null
+};
+
+function reset() {
+  state.queries = [];
+  state.respond = null;
+  state.plan = null;
+}
+
+/**
+ * Field metadata the way mysql2 reports it
+ * @param {string} name The result column name
+ * @param {string} table The source table; empty for expressions
+ * @param {string} orgName The source column; defaults to name for table columns
+ * @returns {Object} The field
+ */
+function field(name, table = '', orgName = table ? name : '') {
+  return { name, orgName, table, orgTable: table, type: 253 };
+}
+
+function schemaRows(text) {
+  if (/^SELECT DATABASE\(\)/i.test(text)) {
+    return [{ db_name: 'shop' }];
+  }
+  if (/information_schema\.tables/i.test(text)) {
+    return Object.keys(TABLES).map(tableName => ({ tableName, rowEstimate: 100, tableComment: '' }));
+  }
+  if (/information_schema\.columns/i.test(text)) {
+    return Object.entries(TABLES).flatMap(([tableName, columns]) => columns.map(([columnName, columnType, columnKey]) => ({
+      tableName,
+      columnName,
+      columnType,
+      dataType: columnType.replace(/\(.*$/, ''),
+      isNullable: columnKey ? 'NO' : 'YES',
+      columnDefault: null,
+      columnKey: columnKey || '',
+      extra: '',
+      columnComment: ''
+    })));
+  }
+  if (/information_schema\.key_column_usage/i.test(text)) {
+    return [];
+  }
+  return null;
+}
+
+async function query(sql) {
+  const text = String(sql).trim();
+
+  const rows = schemaRows(text);
+  if (rows) return [rows, []];
+
+  if (/^(SET SESSION|START TRANSACTION|COMMIT|ROLLBACK|KILL QUERY)\b/i.test(text)) {
+    return [[], []];
+  }
+
+  state.queries.push(text);
+
+  if (/^EXPLAIN FORMAT=JSON/i.test(text)) {
+    return [[{ EXPLAIN: JSON.stringify(state.plan || EMPTY_PLAN) }], [field('EXPLAIN')]];
+  }
+
+  const response = state.respond ? await state.respond(text) : null;
+  return [response ? response.rows : [], response ? response.fields || [] : []];
+}
+
+const pool = {
+  query,
+  getConnection: async () => ({ threadId: 1, query, release() {} })
+};
+
+module.exports = {
+  TABLES,
+  state,
+  reset,
+  field,
+  pool
+};
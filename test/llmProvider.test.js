@@ -0,0 +1,88 @@
+// File: test/llmProvider.test.js
+// The offline mock provider, alone and driving the request pipeline against a stubbed pool
+const path = require('path');
+
+process.env.ACCESS_POLICY_FILE = path.join(__dirname, 'fixtures', 'no-policy.json');
+process.env.LLM_PROVIDER = 'mock';
+
+jest.mock('mysql2/promise', () => ({ createPool: () => require('./helpers/fakeDatabase').pool }));
+
+const { MockProvider, createLLMProvider, setLLMProvider } = require('../llmProvider');
+const { processRequest } = require('../requestProcessor');
+const database = require('./helpers/fakeDatabase');
+
+describe('MockProvider', () => {
+  const fixtures = {
+    responses: [
+      { match: 'count', response: { sqlQuery: 'SELECT COUNT(*) FROM users', intent: 'COUNT' } },
+      { match: '^plain', response: 'plain text answer' }
+    ],
+    default: { sqlQuery: 'SELECT 1', intent: 'LIST' }
+  };
+
+  test('answers with the first fixture whose pattern matches the last message', async () => {
+    const provider = new MockProvider({ fixtures });
+    const text = await provider.generate({ system: 'sys', messages: [{ role: 'user', content: 'Count the users' }] });
+
+    expect(JSON.parse(text)).toEqual({ sqlQuery: 'SELECT COUNT(*) FROM users', intent: 'COUNT' });
+    expect(provider.calls).toHaveLength(1);
+    expect(provider.calls[0].system).toBe('sys');
+  });
+
+  test('returns string fixtures as they are and falls back to the default', async () => {
+    const provider = new MockProvider({ fixtures });
+
+    expect(await provider.generate({ messages: [{ role: 'user', content: 'plain please' }] })).toBe('plain text answer');
+    expect(JSON.parse(await provider.generate({ messages: [{ role: 'user', content: 'anything' }] })).sqlQuery).toBe('SELECT 1');
+  });
+
+  test('fails when nothing matches and there is no default', async () => {
+    const provider = new MockProvider({ fixtures: { responses: [] } });
+    await expect(provider.generate({ messages: [{ role: 'user', content: 'hi' }] })).rejects.toThrow('no fixture matching');
+  });
+
+  test('is created by name, and unknown providers are refused', () => {
+    expect(createLLMProvider('mock')).toBeInstanceOf(MockProvider);
+    expect(() => createLLMProvider('nope')).toThrow('Unknown LLM provider');
+  });
+});
+
+describe('request pipeline with the mock provider', () => {
+  let provider;
+
+  beforeEach(() => {
+    database.reset();
+    provider = new MockProvider();
+    setLLMProvider(provider);
+  });
+
+  test('turns a question into SQL from the fixtures and runs it', async () => {
+    database.state.respond = () => ({ rows: [{ user_count: 42 }], fields: [database.field('user_count')] });
+
+    const response = await processRequest([{ role: 'user', content: 'How many users are there?' }], {}, null);
+
+    expect(response.metadata.sql_query).toBe('SELECT COUNT(*) AS user_count FROM users');
+    expect(response.metadata.results.rows).toEqual([{ user_count: 42 }]);
+    expect(response.content).toContain('SELECT COUNT(*) AS user_count FROM users');
+
+    // The prompt describes the schema read from the (stubbed) database
+    expect(provider.calls[0].system).toMatch(/orders/);
+
+    // The cost check and the limited query are the only statements run
+    expect(database.state.queries[0]).toMatch(/^EXPLAIN FORMAT=JSON/);
+    expect(database.state.queries[1]).toMatch(/FROM `users` LIMIT 1001$/);
+  });
+
+  test('stores the result in the context for follow-up questions', async () => {
+    database.state.respond = () => ({
+      rows: [{ id: 1, name: 'Ann' }, { id: 2, name: 'Ben' }],
+      fields: [database.field('id', 'users'), database.field('name', 'users')]
+    });
+    const context = {};
+
+    await processRequest([{ role: 'user', content: 'List everyone' }], context, null);
+
+    expect(context.lastSql).toBe('SELECT id, name FROM users');
+    expect(context.lastResult.rowCount).toBe(2);
+  });
+});
@@ -0,0 +1,63 @@
+// File: test/resultLimits.test.js
+// Row limits injected into generated SQL, and the limited execution
+jest.mock('mysql2/promise', () => ({ createPool: () => require('./helpers/fakeDatabase').pool }));
+
+const { applyRowLimit, executeLimitedQuery } = require('../resultLimits');
+const database = require('./helpers/fakeDatabase');
+
+describe('applyRowLimit', () => {
+  test('adds a LIMIT one past the row limit', () => {
+    expect(applyRowLimit('SELECT id FROM users', 10)).toEqual({
+      sql: 'SELECT `id` FROM `users` LIMIT 11',
+      limitInjected: true
+    });
+  });
+
+  test('lowers a LIMIT above the row limit and keeps one within it', () => {
+    expect(applyRowLimit('SELECT id FROM users LIMIT 5, 500', 10).sql).toBe('SELECT `id` FROM `users` LIMIT 5, 11');
+    expect(applyRowLimit('SELECT id FROM users LIMIT 3', 10)).toEqual({
+      sql: 'SELECT `id` FROM `users` LIMIT 3',
+      limitInjected: false
+    });
+  });
+
+  test('limits a UNION as a whole', () => {
+    expect(applyRowLimit('(SELECT id FROM users) UNION (SELECT id FROM orders LIMIT 2)', 10).sql)
+      .toBe('SELECT * FROM ((SELECT `id` FROM `users`) UNION (SELECT `id` FROM `orders` LIMIT 2)) AS `limited` LIMIT 11');
+  });
+
+  test('is not thrown off by a trailing line comment', () => {
+    expect(applyRowLimit('SELECT id FROM users UNION SELECT id FROM orders -- every id', 10).sql)
+      .toBe('SELECT * FROM (SELECT `id` FROM `users` UNION SELECT `id` FROM `orders`) AS `limited` LIMIT 11');
+  });
+
+  test('returns SQL serialized from the syntax tree, without comments', () => {
+    expect(applyRowLimit('SELECT id /* key */ FROM users LIMIT 3', 10).sql).toBe('SELECT `id` FROM `users` LIMIT 3');
+  });
+
+  test('refuses executable comments and several statements', () => {
+    expect(() => applyRowLimit('SELECT 1 /*! , SLEEP(5) */', 10)).toThrow(/executable comment/);
+    expect(() => applyRowLimit('SELECT 1; SELECT 2', 10)).toThrow(/single SQL statement/);
+  });
+});
+
+describe('executeLimitedQuery', () => {
+  beforeEach(() => database.reset());
+
+  test('truncates at the row limit and counts the full result from the tree', async () => {
+    database.state.respond = (sql) => (/COUNT\(\*\)/.test(sql)
+      ? { rows: [{ total: 25 }] }
+      : { rows: Array.from({ length: 11 }, (_, id) => ({ id })) });
+
+    const results = await executeLimitedQuery('SELECT id FROM users -- all of them', { maxRows: 10 });
+
+    expect(results.rowCount).toBe(10);
+    expect(results.truncated).toBe(true);
+    expect(results.truncatedBy).toBe('rows');
+    expect(results.totalRowCount).toBe(25);
+    expect(database.state.queries).toEqual([
+      'SELECT `id` FROM `users` LIMIT 11',
+      'SELECT COUNT(*) AS `total` FROM (SELECT `id` FROM `users`) AS `counted`'
+    ]);
+  });
+});
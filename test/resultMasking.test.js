@@ -0,0 +1,73 @@
+// File: test/resultMasking.test.js
+// PII masking of result columns, by name and by the columns they are computed from
+const path = require('path');
+
+process.env.ACCESS_POLICY_FILE = path.join(__dirname, 'fixtures', 'accessPolicy.json');
+
+const { classifyColumn, maskValue, maskResults } = require('../resultMasking');
+const { TABLES, field } = require('./helpers/fakeDatabase');
+
+const schema = Object.fromEntries(Object.entries(TABLES).map(([table, columns]) => [
+  table,
+  { columns: columns.map(([name]) => ({ name })) }
+]));
+
+// Results the way dbConnector.formatResults shapes them
+function results(rows, ...fields) {
+  return {
+    rows,
+    fields: fields.map(({ name, orgName, table }) => ({ name, table: table || null, column: orgName || name }))
+  };
+}
+
+describe('classifyColumn', () => {
+  test('classifies columns by name', () => {
+    expect(classifyColumn({ table: 'users', column: 'email', name: 'email' })).toBe('email');
+    expect(classifyColumn({ table: 'users', column: 'password', name: 'password' })).toBe('secret');
+    expect(classifyColumn({ table: 'users', column: 'name', name: 'name' })).toBeNull();
+  });
+});
+
+describe('maskValue', () => {
+  test('keeps just enough of partially masked values', () => {
+    expect(maskValue('jane@example.com', 'email', 'partial')).toBe('j***@example.com');
+    expect(maskValue('555-123-4567', 'phone', 'partial')).toBe('***-***-4567');
+    expect(maskValue('hunter2', 'secret', 'partial')).toBe('[REDACTED]');
+  });
+});
+
+describe('maskResults', () => {
+  test('masks sensitive columns by name', () => {
+    const masked = maskResults(results([{ email: 'jane@example.com' }], field('email', 'users')), 'analyst');
+
+    expect(masked.rows).toEqual([{ email: 'j***@example.com' }]);
+    expect(masked.fields[0].masking).toEqual({ classification: 'email', strategy: 'partial' });
+  });
+
+  test.each([
+    ['an expression with an alias', "SELECT id, CONCAT(email, '') AS contact FROM users"],
+    ['a derived table', "SELECT id, contact FROM (SELECT id, LOWER(email) AS contact FROM users) AS u"],
+    ['a CTE', 'WITH c (id, contact) AS (SELECT id, email FROM users) SELECT id, contact FROM c'],
+    ['a UNION arm', 'SELECT id, name AS contact FROM products UNION SELECT id, email FROM users']
+  ])('masks a column computed from a sensitive one through %s', (_, sql) => {
+    const rows = [{ id: 1, contact: 'jane@example.com' }];
+    const masked = maskResults(results(rows, field('id', 'users'), field('contact')), 'analyst', { sql, schema });
+
+    expect(masked.rows).toEqual([{ id: 1, contact: 'j***@example.com' }]);
+  });
+
+  test('leaves computed columns alone when their sources are not sensitive', () => {
+    const rows = [{ label: 'ANN' }];
+    const masked = maskResults(results(rows, field('label')), 'analyst', { sql: 'SELECT UPPER(name) AS label FROM users', schema });
+
+    expect(masked.rows).toEqual(rows);
+  });
+
+  test('matches fields by name when the output columns do not line up', () => {
+    const rows = [{ id: 1, contact: 'jane@example.com' }];
+    const sql = 'SELECT * FROM (SELECT id, email AS contact FROM users) AS a JOIN (SELECT id FROM orders) AS b USING (id)';
+    const masked = maskResults(results(rows, field('id'), field('contact')), 'analyst', { sql, schema });
+
+    expect(masked.rows[0].contact).toBe('j***@example.com');
+  });
+});
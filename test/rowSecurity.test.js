@@ -0,0 +1,54 @@
+// File: test/rowSecurity.test.js
+// Row-level security: filtered tables only yield the caller's rows
+const path = require('path');
+
+process.env.ACCESS_POLICY_FILE = path.join(__dirname, 'fixtures', 'accessPolicy.json');
+
+const { applyRowFilters } = require('../rowSecurity');
+const { resolveIdentity } = require('../accessPolicy');
+
+const FILTERED_ORDERS = '(SELECT * FROM `orders` WHERE `tenant_id` = 7)';
+
+describe('applyRowFilters', () => {
+  const bob = resolveIdentity('bob');
+
+  test("replaces a filtered table with the caller's rows", () => {
+    const result = applyRowFilters('SELECT o.id FROM orders o WHERE o.total > 10', bob);
+
+    expect(result.sql).toBe(`SELECT \`o\`.\`id\` FROM ${FILTERED_ORDERS} AS \`o\` WHERE \`o\`.\`total\` > 10`);
+    expect(result.appliedFilters).toEqual([{ table: 'orders', alias: 'o', predicate: 'tenant_id = 7' }]);
+  });
+
+  test('filters joins, subqueries and UNION arms', () => {
+    const { sql } = applyRowFilters(
+      'SELECT u.id FROM users u JOIN orders ON orders.user_id = u.id UNION SELECT user_id FROM orders WHERE id IN (SELECT id FROM orders)',
+      bob
+    );
+
+    expect(sql.split(FILTERED_ORDERS)).toHaveLength(4);
+    expect(sql).not.toMatch(/FROM `orders` (?!WHERE `tenant_id` = 7)/);
+  });
+
+  test('leaves the tables of exempt roles alone', () => {
+    const result = applyRowFilters('SELECT id FROM orders', resolveIdentity('alice'));
+
+    expect(result).toEqual({ sql: 'SELECT `id` FROM `orders`', appliedFilters: [] });
+  });
+
+  test('refuses to run for a caller without the filter attribute', () => {
+    expect(() => applyRowFilters('SELECT id FROM orders', resolveIdentity('dave'))).toThrow(/no tenantId/);
+  });
+
+  test('returns SQL serialized from the syntax tree even when no filtered table is read', () => {
+    expect(applyRowFilters('SELECT id /* users only */ FROM users LIMIT 5', bob).sql).toBe('SELECT `id` FROM `users` LIMIT 5');
+  });
+
+  test('refuses a UNION hidden in an executable comment', () => {
+    expect(() => applyRowFilters('SELECT id FROM users WHERE 1 /*! UNION SELECT id FROM orders */ LIMIT 5', bob))
+      .toThrow(/executable comment/);
+  });
+
+  test('refuses several statements', () => {
+    expect(() => applyRowFilters('SELECT 1; SELECT id FROM orders', bob)).toThrow(/single statement/);
+  });
+});
@@ -0,0 +1,53 @@
+// File: test/securityFilter.test.js
+// SQL validation: statements and functions that must never run, and the access policy
+const path = require('path');
+
+process.env.ACCESS_POLICY_FILE = path.join(__dirname, 'fixtures', 'accessPolicy.json');
+
+const { validateSql } = require('../securityFilter');
+
+describe('validateSql', () => {
+  test('accepts plain SELECT statements', () => {
+    expect(validateSql('SELECT id, name FROM users WHERE id = 1').isValid).toBe(true);
+    expect(validateSql('WITH recent AS (SELECT * FROM orders) SELECT COUNT(*) FROM recent').isValid).toBe(true);
+  });
+
+  test('judges keywords by structure, not by their text in literals', () => {
+    expect(validateSql("SELECT id FROM users WHERE name = 'DROP TABLE users'").isValid).toBe(true);
+  });
+
+  test('rejects data modification, several statements and forbidden functions', () => {
+    expect(validateSql('DELETE FROM users').isValid).toBe(false);
+    expect(validateSql('SELECT 1; SELECT 2').isValid).toBe(false);
+    expect(validateSql('SELECT SLEEP(5)').isValid).toBe(false);
+    expect(validateSql("SELECT * FROM users INTO OUTFILE '/tmp/x'").isValid).toBe(false);
+  });
+
+  test.each([
+    'SELECT 1 /*! , SLEEP(5) */',
+    "SELECT * FROM users /*!50000 INTO OUTFILE '/tmp/x' */",
+    'SELECT /*+ MAX_EXECUTION_TIME(1) */ id FROM users',
+    'SELECT id FROM users WHERE 1 /*M! UNION SELECT id FROM orders */'
+  ])('rejects executable comments and optimizer hints: %s', (sql) => {
+    const result = validateSql(sql);
+
+    expect(result.isValid).toBe(false);
+    expect(result.severity).toBe('high');
+    expect(result.reason).toMatch(/executable comment/);
+  });
+
+  test('still accepts ordinary comments', () => {
+    expect(validateSql('SELECT id /* the key */ FROM users -- trailing').isValid).toBe(true);
+  });
+
+  describe('with an access policy', () => {
+    test('denies columns the role may not read', () => {
+      expect(validateSql('SELECT name, password FROM users', { role: 'analyst' }).isValid).toBe(false);
+      expect(validateSql('SELECT name, password FROM users', { role: 'admin' }).isValid).toBe(true);
+    });
+
+    test('denies a column hidden in an executable comment', () => {
+      expect(validateSql('SELECT name /*!, password */ FROM users LIMIT 10', { role: 'analyst' }).isValid).toBe(false);
+    });
+  });
+});
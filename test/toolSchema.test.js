@@ -0,0 +1,52 @@
+// File: test/toolSchema.test.js
+// Tool parameter schemas and argument validation
+const { normalizeParameters, validateArguments } = require('../toolSchema');
+
+const schema = normalizeParameters({
+  type: 'object',
+  properties: {
+    sql: { type: 'string', minLength: 1 },
+    maxRows: { type: 'integer', minimum: 1 }
+  },
+  required: ['sql'],
+  additionalProperties: false
+});
+
+describe('validateArguments', () => {
+  test('accepts arguments that match the schema', () => {
+    expect(validateArguments(schema, { sql: 'SELECT 1', maxRows: 5 })).toEqual([]);
+  });
+
+  test('reports missing, mistyped and out-of-range arguments', () => {
+    expect(validateArguments(schema, { maxRows: 0.5 }).map(error => error.keyword)).toEqual(['required', 'type']);
+    expect(validateArguments(schema, { sql: 'SELECT 1', maxRows: 0 }).map(error => error.keyword)).toEqual(['minimum']);
+  });
+
+  test.each(['constructor', 'toString', '__proto__', 'hasOwnProperty'])('rejects an unknown argument named %s', (name) => {
+    const args = JSON.parse(`{ "sql": "SELECT 1", "${name}": "x" }`);
+
+    expect(validateArguments(schema, args)).toEqual([
+      { path: name, keyword: 'additionalProperties', message: 'is not an allowed parameter' }
+    ]);
+  });
+
+  test('does not take a required argument from the prototype', () => {
+    const withConstructor = normalizeParameters({ type: 'object', properties: { constructor: { type: 'string' } }, required: ['constructor'] });
+
+    expect(validateArguments(withConstructor, {}).map(error => error.keyword)).toEqual(['required']);
+  });
+});
+
+describe('normalizeParameters', () => {
+  test('wraps a plain map of properties, with nothing required', () => {
+    expect(normalizeParameters({ table: { type: 'string' } })).toEqual({
+      type: 'object',
+      properties: { table: { type: 'string' } },
+      required: []
+    });
+  });
+
+  test('rejects malformed schemas', () => {
+    expect(() => normalizeParameters({ table: { type: 'text' } })).toThrow('unknown type "text"');
+  });
+});
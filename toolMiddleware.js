@@ -0,0 +1,122 @@
+// File: toolMiddleware.js
+/**
+ * Standard ToolRegistry middleware for MCP server
+ * Every entry point (REST, MCP, chat tool calls and agent mode) runs tools
+ * through the same registry, so these checks apply however a tool is reached:
+ *   audit          - times each call and logs who called what, and the outcome
+ *   authorization  - the caller's role must be allowed to use the tool
+ *   input-security - string arguments declared with format "sql" or
+ *                    "natural-language" pass the same checks as generated SQL
+ *   result-masking - query results get the caller's PII masking
+ */
+const { canUseTool } = require('./accessPolicy');
+const { validateSql, validateNaturalLanguageInput } = require('./securityFilter');
+const { getCachedSchema } = require('./dbConnector');
+const { maskResults } = require('./resultMasking');
+
+// Longest argument text written to the audit log
+const AUDIT_PARAMS_CHARS = 500;
+
+function auditEntry(call, outcome) {
+  const params = JSON.stringify(call.params);
+  return {
+    tool: call.toolName,
+    userId: call.context && (call.context.identity ? call.context.identity.userId : call.context.userId),
+    role: call.context ? call.context.accessRole : undefined,
+    params: params.length > AUDIT_PARAMS_CHARS ? `${params.substring(0, AUDIT_PARAMS_CHARS)}...` : params,
+    durationMs: Date.now() - call.startedAt,
+    ...outcome
+  };
+}
+
+const audit = {
+  name: 'audit',
+  after(call) {
+    console.log(`Tool call: ${JSON.stringify(auditEntry(call, { success: true }))}`);
+  },
+  error(call, error) {
+    console.warn(`Tool call failed: ${JSON.stringify(auditEntry(call, { success: false, error: error.message, code: error.code }))}`);
+  }
+};
+
+const authorization = {
+  name: 'authorization',
+  before(call) {
+    const role = call.context ? call.context.accessRole : undefined;
+
+    // Contexts without an identity predate access policies and are not restricted here
+    if (role !== undefined && !canUseTool(role, call.toolName)) {
+      const error = new Error(`Your role is not allowed to use the ${call.toolName} tool`);
+      error.code = 'TOOL_NOT_ALLOWED';
+      throw error;
+    }
+  }
+};
+
+function rejectInput(name, reason) {
+  const error = new Error(`Argument ${name} rejected: ${reason}`);
+  error.code = 'TOOL_INPUT_REJECTED';
+  return error;
+}
+
+const inputSecurity = {
+  name: 'input-security',
+  async before(call) {
+    const properties = call.tool.parameters.properties || {};
+    const role = call.context ? call.context.accessRole : undefined;
+
+    for (const [name, property] of Object.entries(properties)) {
+      const value = call.params[name];
+      if (typeof value !== 'string') continue;
+
+      if (property.format === 'natural-language') {
+        const validation = validateNaturalLanguageInput(value);
+        if (!validation.isValid) throw rejectInput(name, validation.reason);
+      } else if (property.format === 'sql') {
+        const validation = validateSql(value, role !== undefined ? { role, schema: await getCachedSchema() } : {});
+        if (!validation.isValid) throw rejectInput(name, validation.reason);
+      }
+    }
+  }
+};
+
+const resultMasking = {
+  name: 'result-masking',
+  async after(call, result) {
+    // Anything shaped like query results, whichever tool produced it
+    if (result && Array.isArray(result.rows) && Array.isArray(result.fields)) {
+      // The tool's SQL argument tells which columns the results are computed from
+      const properties = call.tool.parameters.properties || {};
+      const sqlParam = Object.keys(properties).find(name => properties[name].format === 'sql' && typeof call.params[name] === 'string');
+
+      return maskResults(result, call.context ? call.context.accessRole : null, {
+        sql: sqlParam ? call.params[sqlParam] : null,
+        schema: sqlParam ? await getCachedSchema() : null
+      });
+    }
+    return result;
+  }
+};
+
+/**
+ * Installs the standard middleware on a registry
+ * They run after the registry's own argument validation; audit comes first so
+ * it also logs the calls the later checks reject.
+ * @param {ToolRegistry} toolRegistry The registry
+ * @returns {ToolRegistry} The same registry
+ */
+function registerDefaultMiddleware(toolRegistry) {
+  return toolRegistry
+    .use(audit)
+    .use(authorization)
+    .use(inputSecurity)
+    .use(resultMasking);
+}
+
+module.exports = {
+  audit,
+  authorization,
+  inputSecurity,
+  resultMasking,
+  registerDefaultMiddleware
+};
@@ -0,0 +1,170 @@
+// File: toolPlugins.js
+/**
+ * Tool plugins for MCP server
+ * Each .js file in the plugins directory adds tools to the registry without
+ * touching the servers. A plugin exports one tool, or several under `tools`:
+ *
+ * module.exports = {
+ *   version: '1.0.0',
+ *   tools: [{
+ *     name: 'query_cost',
+ *     description: 'Estimates what a query would cost to run',
+ *     version: '1.1.0',          // Optional; defaults to the plugin version
+ *     parameters: { type: 'object', properties: { ... }, required: [ ... ] },
+ *     // signal cancels the call; reportProgress(progress, total, message) reports progress
+ *     execute: async (params, context, { signal, reportProgress }) => { ... }
+ *   }]
+ * };
+ *
+ * The directory is watched: a new or changed file registers or replaces its
+ * tools, and a deleted file unregisters them, without a restart. A plugin that
+ * fails to load is logged and skipped; if it was loaded before, its previous
+ * version stays registered.
+ */
+const fs = require('fs');
+const path = require('path');
+const { normalizeParameters } = require('./toolSchema');
+
+const TOOL_PLUGINS_DIR = process.env.TOOL_PLUGINS_DIR || path.join(__dirname, 'plugins');
+// Set to 'false' to load plugins at startup only
+const TOOL_PLUGINS_WATCH = process.env.TOOL_PLUGINS_WATCH !== 'false';
+
+// Editors write a file in several steps; wait for them to settle before reloading
+const RELOAD_DELAY_MS = 200;
+
+const TOOL_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Read a plugin file's tool specs from a fresh copy of the module
+function readPlugin(file) {
+  const resolved = require.resolve(file);
+  delete require.cache[resolved];
+  const plugin = require(resolved);
+
+  const specs = Array.isArray(plugin.tools) ? plugin.tools : [plugin];
+  if (specs.length === 0) {
+    throw new Error('Plugin exports no tools');
+  }
+
+  return specs.map(spec => {
+    if (!spec || typeof spec.name !== 'string' || !TOOL_NAME.test(spec.name)) {
+      throw new Error('Each tool needs a name of letters, digits, _ or - (at most 64)');
+    }
+
+    if (typeof spec.execute !== 'function') {
+      throw new Error(`Tool ${spec.name} has no execute function`);
+    }
+
+    // Throws on malformed parameter schemas (see toolSchema.js), before anything is registered
+    normalizeParameters(spec.parameters);
+
+    return { ...spec, version: spec.version || plugin.version || null };
+  });
+}
+
+/**
+ * Loads the plugins directory into a registry and, unless disabled, watches it
+ * @param {ToolRegistry} toolRegistry The registry to add plugin tools to
+ * @param {Object} options { dir, watch } overriding TOOL_PLUGINS_DIR and TOOL_PLUGINS_WATCH
+ * @returns {Object} { plugins, reload(file), close() } where plugins maps each loaded
+ *   file name to { tools, version, loadedAt }
+ */
+function loadToolPlugins(toolRegistry, options = {}) {
+  const dir = options.dir || TOOL_PLUGINS_DIR;
+  const watch = options.watch !== undefined ? options.watch : TOOL_PLUGINS_WATCH;
+
+  const plugins = new Map();
+  const timers = new Map();
+  let watcher = null;
+
+  function unload(file) {
+    const loaded = plugins.get(file);
+    if (!loaded) return;
+
+    loaded.tools.forEach(name => toolRegistry.unregisterTool(name));
+    plugins.delete(file);
+    console.log(`Unloaded tool plugin ${file}`);
+  }
+
+  // Load or reload one file; on any error the registry keeps what it had
+  function reload(file) {
+    const fullPath = path.join(dir, file);
+
+    if (!fs.existsSync(fullPath)) {
+      unload(file);
+      return;
+    }
+
+    try {
+      const specs = readPlugin(fullPath);
+      const previous = plugins.get(file);
+      const owned = new Set(previous ? previous.tools : []);
+
+      for (const spec of specs) {
+        // Built-in tools and other plugins' tools can't be replaced from here
+        if (toolRegistry.tools.has(spec.name) && !owned.has(spec.name)) {
+          throw new Error(`Tool ${spec.name} is already registered`);
+        }
+      }
+
+      if (new Set(specs.map(spec => spec.name)).size !== specs.length) {
+        throw new Error('Plugin declares the same tool twice');
+      }
+
+      owned.forEach(name => toolRegistry.unregisterTool(name));
+      specs.forEach(spec => toolRegistry.registerTool(spec.name, spec));
+
+      plugins.set(file, {
+        tools: specs.map(spec => spec.name),
+        version: specs[0].version,
+        loadedAt: new Date().toISOString()
+      });
+      console.log(`${previous ? 'Reloaded' : 'Loaded'} tool plugin ${file}: ${specs.map(spec => `${spec.name}@${spec.version || 'unversioned'}`).join(', ')}`);
+    } catch (error) {
+      console.error(`Skipping tool plugin ${file}: ${error.message}`);
+    }
+  }
+
+  function scheduleReload(file) {
+    clearTimeout(timers.get(file));
+    timers.set(file, setTimeout(() => {
+      timers.delete(file);
+      reload(file);
+    }, RELOAD_DELAY_MS));
+  }
+
+  if (fs.existsSync(dir)) {
+    fs.readdirSync(dir)
+      .filter(file => file.endsWith('.js'))
+      .sort()
+      .forEach(reload);
+
+    if (watch) {
+      try {
+        watcher = fs.watch(dir, (eventType, file) => {
+          if (file && file.endsWith('.js')) {
+            scheduleReload(file);
+          }
+        });
+        // Watching alone shouldn't keep a process alive
+        watcher.unref();
+        watcher.on('error', error => console.error(`Tool plugin watcher stopped: ${error.message}`));
+      } catch (error) {
+        console.error(`Could not watch tool plugins in ${dir}: ${error.message}`);
+      }
+    }
+  }
+
+  return {
+    plugins,
+    reload,
+    close() {
+      if (watcher) watcher.close();
+      timers.forEach(timer => clearTimeout(timer));
+      timers.clear();
+    }
+  };
+}
+
+module.exports = {
+  loadToolPlugins
+};
@@ -1,10 +1,35 @@
 // File: toolRegistry.js
-class ToolRegistry {
+const { EventEmitter } = require('events');
+const { normalizeParameters, validateArguments } = require('./toolSchema');
+const { cancelledError, throwIfCancelled } = require('./requestTracker');
+
+// Built-in middleware: reject arguments that don't match the tool's parameter schema
+const argumentValidation = {
+  name: 'argument-validation',
+  before(call) {
+    const errors = validateArguments(call.tool.parameters, call.params);
+    if (errors.length > 0) {
+      const error = new Error(`Invalid arguments for ${call.toolName}: ${errors.map(e => `${e.path} ${e.message}`).join('; ')}`);
+      error.code = 'INVALID_TOOL_ARGUMENTS';
+      error.details = errors;
+      throw error;
+    }
+  }
+};
+
+// Emits 'toolsChanged' whenever a tool is registered or unregistered
+class ToolRegistry extends EventEmitter {
   constructor() {
+    super();
+    this.setMaxListeners(0); // One listener per MCP session
     this.tools = new Map();
+    // Runs around every executeTool call, in order
+    this.middleware = [argumentValidation];
   }
 
   // Register a new tool
+  // toolSpec.parameters is a JSON Schema object ({ type: 'object', properties, required })
+  // toolSpec.version is optional version metadata, reported by listTools
   registerTool(toolName, toolSpec) {
     if (this.tools.has(toolName)) {
       throw new Error(`Tool with name ${toolName} already exists`);
@@ -13,10 +38,38 @@ class ToolRegistry {
     this.tools.set(toolName, {
       name: toolName,
       description: toolSpec.description || '',
-      parameters: toolSpec.parameters || {},
+      version: toolSpec.version || null,
+      parameters: normalizeParameters(toolSpec.parameters),
       execute: toolSpec.execute,
     });
 
+    this.emit('toolsChanged');
+    return this;
+  }
+
+  // Remove a tool; calls already running finish with the old implementation
+  unregisterTool(toolName) {
+    const removed = this.tools.delete(toolName);
+    if (removed) {
+      this.emit('toolsChanged');
+    }
+
+    return removed;
+  }
+
+  // Add middleware around executeTool
+  // A middleware is { name, before(call), after(call, result), error(call, error) }, each hook optional:
+  //   before runs in registration order and may change call.params, or throw to stop the call
+  //   after runs in reverse order and may return a replacement result
+  //   error runs in reverse order when the call fails, and may throw a different error
+  // call is { toolName, tool, params, context, startedAt, state, signal, reportProgress },
+  // shared by all hooks of one call
+  use(middleware) {
+    if (!middleware || typeof middleware !== 'object') {
+      throw new Error('Middleware must be an object with before, after or error hooks');
+    }
+
+    this.middleware.push(middleware);
     return this;
   }
 
@@ -30,25 +83,90 @@ class ToolRegistry {
   }
 
   // List all available tools
+  // The schema is given both as `parameters` (OpenAI function calling) and `inputSchema` (MCP)
   listTools() {
     const toolsList = [];
-    
+
     for (const [name, tool] of this.tools.entries()) {
       toolsList.push({
         name: name,
         description: tool.description,
-        parameters: tool.parameters
+        version: tool.version,
+        parameters: tool.parameters,
+        inputSchema: tool.parameters
       });
     }
-    
+
     return toolsList;
   }
 
-  // Execute a tool
-  async executeTool(toolName, params, context) {
-    const tool = this.getTool(toolName);
-    return await tool.execute(params, context);
+  // Execute a tool through the middleware pipeline
+  // Invalid arguments fail with error.code 'INVALID_TOOL_ARGUMENTS' and the problems in error.details
+  // options.signal cancels the call; options.onProgress({ progress, total, message }) hears
+  // the tool's progress. The tool gets both as execute(params, context, { signal, reportProgress })
+  async executeTool(toolName, params, context, options = {}) {
+    const call = {
+      toolName,
+      tool: this.getTool(toolName),
+      params: params === undefined ? {} : params,
+      context,
+      startedAt: Date.now(),
+      state: {},
+      signal: options.signal,
+      reportProgress: (progress, total, message) => {
+        if (typeof options.onProgress !== 'function') return;
+
+        // A failing listener never breaks the tool
+        try {
+          options.onProgress({ progress, total, message });
+        } catch (error) {
+          console.error(`Error reporting progress for tool ${toolName}:`, error);
+        }
+      }
+    };
+
+    try {
+      for (const middleware of this.middleware) {
+        if (middleware.before) {
+          await middleware.before(call);
+        }
+      }
+
+      throwIfCancelled(call.signal);
+      let result = await call.tool.execute(call.params, context, {
+        signal: call.signal,
+        reportProgress: call.reportProgress
+      });
+      // A tool that ignores its signal still doesn't hand back results nobody wants
+      throwIfCancelled(call.signal);
+
+      for (const middleware of [...this.middleware].reverse()) {
+        if (middleware.after) {
+          const replaced = await middleware.after(call, result);
+          if (replaced !== undefined) {
+            result = replaced;
+          }
+        }
+      }
+
+      return result;
+    } catch (error) {
+      // However the tool noticed the cancellation, callers see one error for it
+      let failure = call.signal && call.signal.aborted ? cancelledError() : error;
+
+      for (const middleware of [...this.middleware].reverse()) {
+        if (middleware.error) {
+          try {
+            await middleware.error(call, failure);
+          } catch (replacement) {
+            failure = replacement;
+          }
+        }
+      }
+
+      throw failure;
+    }
   }
 }
 
-module.exports = { ToolRegistry };
\ No newline at end of file
+module.exports = { ToolRegistry };
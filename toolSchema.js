@@ -0,0 +1,235 @@
+// File: toolSchema.js
+/**
+ * JSON Schema support for tool parameters in MCP server
+ * Tools declare their parameters as a JSON Schema object, which is handed to
+ * MCP and OpenAI-style function-calling clients as-is and used to validate
+ * arguments before a tool runs. The validator covers the keywords tool
+ * schemas need: type, enum, const, required, properties,
+ * additionalProperties, items, numeric bounds, string length and pattern,
+ * and array length.
+ */
+
+const SCHEMA_TYPES = ['string', 'number', 'integer', 'boolean', 'object', 'array', 'null'];
+const NUMERIC_KEYWORDS = ['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum', 'minLength', 'maxLength', 'minItems', 'maxItems'];
+
+function isPlainObject(value) {
+  return typeOf(value) === 'object';
+}
+
+// Own properties only, so names like "constructor" or "toString" aren't found on the prototype
+function hasOwn(object, name) {
+  return Object.prototype.hasOwnProperty.call(object, name);
+}
+
+function schemaError(path, message) {
+  return new Error(`Invalid parameter schema at ${describePath(path)}: ${message}`);
+}
+
+// Throw if a schema uses a keyword in a way the validator can't apply
+function checkSchema(schema, path) {
+  if (!isPlainObject(schema)) {
+    throw schemaError(path, 'must be an object');
+  }
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    const unknown = types.find(type => !SCHEMA_TYPES.includes(type));
+    if (types.length === 0 || unknown !== undefined) {
+      throw schemaError(path, unknown !== undefined ? `unknown type ${JSON.stringify(unknown)}` : 'type must not be empty');
+    }
+  }
+
+  if (schema.enum !== undefined && !Array.isArray(schema.enum)) {
+    throw schemaError(path, 'enum must be an array');
+  }
+
+  for (const keyword of NUMERIC_KEYWORDS) {
+    if (schema[keyword] !== undefined && typeof schema[keyword] !== 'number') {
+      throw schemaError(path, `${keyword} must be a number`);
+    }
+  }
+
+  if (schema.pattern !== undefined) {
+    try {
+      new RegExp(schema.pattern);
+    } catch (error) {
+      throw schemaError(path, `pattern is not a valid regular expression (${error.message})`);
+    }
+  }
+
+  if (schema.required !== undefined &&
+      (!Array.isArray(schema.required) || schema.required.some(name => typeof name !== 'string'))) {
+    throw schemaError(path, 'required must be an array of property names');
+  }
+
+  if (schema.properties !== undefined) {
+    if (!isPlainObject(schema.properties)) {
+      throw schemaError(path, 'properties must be an object');
+    }
+    for (const [name, property] of Object.entries(schema.properties)) {
+      checkSchema(property, path ? `${path}.${name}` : name);
+    }
+  }
+
+  if (schema.additionalProperties !== undefined && typeof schema.additionalProperties !== 'boolean') {
+    checkSchema(schema.additionalProperties, path ? `${path}.additionalProperties` : 'additionalProperties');
+  }
+
+  if (schema.items !== undefined) {
+    checkSchema(schema.items, `${path}[]`);
+  }
+}
+
+/**
+ * Turns a tool's declared parameters into an object schema
+ * Older tools declare a plain map of property schemas; those are wrapped with
+ * nothing required, which keeps their previous behavior. Throws if the schema
+ * is malformed, so a broken tool fails when it is registered rather than on
+ * every call.
+ * @param {Object} parameters A JSON Schema, or a map of property name to schema
+ * @returns {Object} A JSON Schema with type "object"
+ */
+function normalizeParameters(parameters = {}) {
+  if (!isPlainObject(parameters)) {
+    throw schemaError('', 'parameters must be an object');
+  }
+
+  const schema = parameters.type === 'object'
+    ? {
+      ...parameters,
+      properties: parameters.properties || {},
+      required: parameters.required || []
+    }
+    : {
+      type: 'object',
+      properties: parameters,
+      required: []
+    };
+
+  checkSchema(schema, '');
+  return schema;
+}
+
+// JSON Schema type of a value; integers are reported as "integer"
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function describePath(path) {
+  return path || '(root)';
+}
+
+function validateValue(schema, value, path, errors) {
+  if (!schema || typeof schema !== 'object') return;
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => matchesType(value, type))) {
+      errors.push({
+        path: describePath(path),
+        keyword: 'type',
+        message: `must be ${types.join(' or ')}, got ${typeOf(value)}`
+      });
+      // Further checks would only repeat the same problem
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => option === value)) {
+    errors.push({
+      path: describePath(path),
+      keyword: 'enum',
+      message: `must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`
+    });
+  }
+
+  if (schema.const !== undefined && schema.const !== value) {
+    errors.push({ path: describePath(path), keyword: 'const', message: `must be ${JSON.stringify(schema.const)}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: describePath(path), keyword: 'minimum', message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: describePath(path), keyword: 'maximum', message: `must be at most ${schema.maximum}` });
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push({ path: describePath(path), keyword: 'exclusiveMinimum', message: `must be greater than ${schema.exclusiveMinimum}` });
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push({ path: describePath(path), keyword: 'exclusiveMaximum', message: `must be less than ${schema.exclusiveMaximum}` });
+    }
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path: describePath(path), keyword: 'minLength', message: `must be at least ${schema.minLength} characters long` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path: describePath(path), keyword: 'maxLength', message: `must be at most ${schema.maxLength} characters long` });
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path: describePath(path), keyword: 'pattern', message: `must match ${schema.pattern}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: describePath(path), keyword: 'minItems', message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path: describePath(path), keyword: 'maxItems', message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => validateValue(schema.items, item, `${path}[${index}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (!hasOwn(value, name) || value[name] === undefined) {
+        errors.push({ path: describePath(path ? `${path}.${name}` : name), keyword: 'required', message: 'is required' });
+      }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      const propertyPath = path ? `${path}.${name}` : name;
+
+      if (hasOwn(properties, name)) {
+        validateValue(properties[name], propertyValue, propertyPath, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: propertyPath, keyword: 'additionalProperties', message: 'is not an allowed parameter' });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        validateValue(schema.additionalProperties, propertyValue, propertyPath, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Validates tool arguments against the tool's parameter schema
+ * @param {Object} schema The tool's parameter schema
+ * @param {*} args The arguments the caller sent
+ * @returns {Array} Validation errors as { path, keyword, message }; empty if the arguments are valid
+ */
+function validateArguments(schema, args) {
+  const errors = [];
+  validateValue(schema, args, '', errors);
+  return errors;
+}
+
+module.exports = {
+  normalizeParameters,
+  validateArguments
+};
@@ -1,6 +1,7 @@
 require('dotenv').config();
 
 console.log('Environment Variables:');
+console.log('LLM_PROVIDER:', process.env.LLM_PROVIDER || 'gemini (default)');
 console.log('GEMINI_API_KEY:', process.env.GEMINI_API_KEY ? 'Set (length: ' + process.env.GEMINI_API_KEY.length + ')' : 'Not set');
 console.log('NODE_ENV:', process.env.NODE_ENV);
 console.log('PORT:', process.env.PORT);
\ No newline at end of file